@@ -0,0 +1,11 @@
+import { NetworkDefinition, readNetworkDefinition } from 'generative-bayesian-network';
+
+/**
+ * Reads a network definition bundled with this package from the `data_files` directory.
+ * The parsed definitions are cached, so creating more generators doesn't read the files again.
+ * In browsers and edge runtimes, this module is replaced by `data-files.browser` (see the `browser` field in `package.json`).
+ * @param fileName Name of the file.
+ */
+export function readNetworkDataFile(fileName: string): NetworkDefinition {
+    return readNetworkDefinition(`${__dirname}/data_files/${fileName}`);
+}
@@ -1,7 +1,14 @@
-import { BayesianNetwork, utils } from 'generative-bayesian-network';
-import { HeaderGenerator, HeaderGeneratorOptions, Headers } from 'header-generator';
+import { BayesianNetwork, NetworkDefinition, utils } from 'generative-bayesian-network';
+import {
+    HeaderGenerator,
+    HeaderGeneratorDataFiles,
+    HeaderGeneratorOptions,
+    Headers,
+    SurprisalReport,
+} from 'header-generator';
 
 import { MISSING_VALUE_DATASET_TOKEN, STRINGIFIED_PREFIX } from './constants';
+import { readNetworkDataFile } from './data-files';
 
 export type ScreenFingerprint = {
     availHeight: number;
@@ -90,8 +97,35 @@ export interface FingerprintGeneratorOptions extends HeaderGeneratorOptions {
      * Try enabling this if you are experiencing performance issues with the fingerprint injection.
      */
     slim?: boolean;
+    /**
+     * Data files used by the generator, for environments without a file system (browsers, edge runtimes)
+     * or to use custom models. The files that are not provided are read from the `data_files` directories of the packages.
+     * Only taken into account when passed to the constructor.
+     */
+    dataFiles?: Partial<FingerprintGeneratorDataFiles>;
 }
 
+/**
+ * Data files the fingerprint generator is created from.
+ */
+export interface FingerprintGeneratorDataFiles extends HeaderGeneratorDataFiles {
+    /**
+     * Definition of the network generating the fingerprints, given the user agent.
+     * Either the parsed definition or the contents of `fingerprint-network-definition.zip` (or any other format supported by `BayesianNetwork`).
+     * Browsers and edge runtimes only support plain JSON, like for the header generator.
+     */
+    fingerprintNetworkDefinition: NetworkDefinition | Uint8Array;
+}
+
+/**
+ * Navigator attributes parsed as integers in the final fingerprint, with the values their missing values are replaced with.
+ */
+const INTEGER_NAVIGATOR_ATTRIBUTES: Record<string, number | null> = {
+    deviceMemory: null,
+    hardwareConcurrency: NaN,
+    maxTouchPoints: 0,
+};
+
 /**
  * Fingerprint generator - Class for realistic browser fingerprint generation.
  */
@@ -99,6 +133,11 @@ export class FingerprintGenerator extends HeaderGenerator {
     fingerprintGeneratorNetwork: any;
     fingerprintGlobalOptions: Partial<Omit<FingerprintGeneratorOptions, keyof HeaderGeneratorOptions>>;
 
+    /**
+     * Values of the fingerprint network nodes, indexed by the JSON of their values in the final fingerprint, see `getFingerprintSurprisal`.
+     */
+    private networkValueIndices = new Map<string, Map<string, string[]>>();
+
     /**
      * @param options Default header generation options used - unless overridden.
      */
@@ -109,7 +148,10 @@ export class FingerprintGenerator extends HeaderGenerator {
             mockWebRTC: options.mockWebRTC,
             slim: options.slim,
         };
-        this.fingerprintGeneratorNetwork = new BayesianNetwork({ path: `${__dirname}/data_files/fingerprint-network-definition.zip` });
+        this.fingerprintGeneratorNetwork = new BayesianNetwork({
+            definition: options.dataFiles?.fingerprintNetworkDefinition ?? readNetworkDataFile('fingerprint-network-definition.zip'),
+            random: this.random,
+        });
     }
 
     /**
@@ -122,6 +164,44 @@ export class FingerprintGenerator extends HeaderGenerator {
         options: Partial<FingerprintGeneratorOptions> = {},
         requestDependentHeaders: Headers = {},
     ): BrowserFingerprintWithHeaders {
+        while (true) {
+            const [fingerprint] = this.generateFingerprints(1, options, requestDependentHeaders);
+            if (fingerprint) return fingerprint;
+        }
+    }
+
+    /**
+     * Generates multiple distinct fingerprints, see `getFingerprint`. The duplicates are discarded and generated again.
+     * If not enough distinct fingerprints can be generated within `10 * count` attempts, fewer fingerprints are returned
+     * (or an error is thrown with the `strict` option).
+     * @param count Number of fingerprints to generate.
+     * @param options Overrides default `FingerprintGenerator` options.
+     * @param requestDependentHeaders Specifies known values of headers dependent on the particular request.
+     */
+    getFingerprints(
+        count: number,
+        options: Partial<FingerprintGeneratorOptions> = {},
+        requestDependentHeaders: Headers = {},
+    ): BrowserFingerprintWithHeaders[] {
+        return this.generateUniqueBatch(
+            count,
+            (remaining) => this.generateFingerprints(remaining, options, requestDependentHeaders),
+            options.strict ?? this.globalOptions.strict,
+        );
+    }
+
+    /**
+     * Generates at most the given number of fingerprints (possibly with duplicates) with the matching sets of ordered headers.
+     * The fingerprints of the same user agent are drawn together by `BayesianNetwork.generateSamples`.
+     * @param count Number of the headers to generate the fingerprints for.
+     * @param options Overrides default `FingerprintGenerator` options.
+     * @param requestDependentHeaders Specifies known values of headers dependent on the particular request.
+     */
+    private generateFingerprints(
+        count: number,
+        options: Partial<FingerprintGeneratorOptions> = {},
+        requestDependentHeaders: Headers = {},
+    ): BrowserFingerprintWithHeaders[] {
         const filteredValues: Record<string, string[]> = {};
 
         options = {
@@ -154,16 +234,21 @@ export class FingerprintGenerator extends HeaderGenerator {
             }
         })();
 
-        while (true) {
-            // Generate headers consistent with the inputs to get input-compatible user-agent and accept-language headers needed later
-            const headers = super.getHeaders(options, requestDependentHeaders, partialCSP?.userAgent);
-            const userAgent = 'User-Agent' in headers ? headers['User-Agent'] : headers['user-agent'];
+        // Generate headers consistent with the inputs to get input-compatible user-agent and accept-language headers needed later
+        const headersBatch = this.generateHeaders(count, options, requestDependentHeaders, partialCSP?.userAgent);
+        const userAgents = headersBatch.map((headers) => ('User-Agent' in headers ? headers['User-Agent'] : headers['user-agent']));
 
-            // Generate fingerprint consistent with the generated user agent
-            const fingerprint: Record<string, any> = this.fingerprintGeneratorNetwork.generateConsistentSampleWhenPossible({
-                ...filteredValues,
-                userAgent: [userAgent],
-            });
+        // Generate fingerprints consistent with the generated user agents
+        const samplesByUserAgent = new Map<string, Record<string, string>[]>();
+        for (const userAgent of new Set(userAgents)) {
+            samplesByUserAgent.set(userAgent, this.fingerprintGeneratorNetwork.generateSamples(
+                userAgents.filter((x) => x === userAgent).length,
+                { constraints: { ...filteredValues, userAgent: [userAgent] } },
+            ));
+        }
+
+        return headersBatch.flatMap((headers, index) => {
+            const fingerprint: Record<string, any> = samplesByUserAgent.get(userAgents[index])!.shift() ?? {};
 
             /* Delete any missing attributes and unpack any object/array-like attributes
              * that have been packed together to make the underlying network simpler
@@ -176,25 +261,72 @@ export class FingerprintGenerator extends HeaderGenerator {
                 }
             }
 
-            if (!fingerprint.screen) continue; // fix? sometimes, fingerprints are generated 90% empty/null. This is just a workaround.
+            if (!fingerprint.screen) return []; // fix? sometimes, fingerprints are generated 90% empty/null. This is just a workaround.
 
-            // Manually add the set of accepted languages required by the input
-            const acceptLanguageHeaderValue = 'Accept-Language' in headers ? headers['Accept-Language'] : headers['accept-language'];
-            const acceptedLanguages = [];
-            for (const locale of acceptLanguageHeaderValue.split(',')) {
-                acceptedLanguages.push(locale.split(';')[0]);
-            }
-            fingerprint.languages = acceptedLanguages;
+            // Manually add the languages required by the input, the browsers only add the base languages to the Accept-Language header
+            fingerprint.languages = [...(options.locales ?? this.globalOptions.locales)];
 
-            return {
+            return [{
                 fingerprint: {
                     ...this.transformFingerprint(fingerprint),
                     mockWebRTC: options.mockWebRTC ?? this.fingerprintGlobalOptions.mockWebRTC ?? false,
                     slim: options.slim ?? this.fingerprintGlobalOptions.slim ?? false,
                 },
                 headers,
-            };
+            }];
+        });
+    }
+
+    /**
+     * Estimates how many bits of identifying information the fingerprint carries according to the trained networks,
+     * e.g. to reject the fingerprints that are too rare and therefore easy to track. The surprisal of the headers
+     * (see `getHeadersSurprisal`) is followed by the surprisal of the fingerprint attributes given the user agent.
+     * The languages are given by the `locales` option, so they are not taken into account.
+     * @param fingerprintWithHeaders Fingerprint generated by `getFingerprint`.
+     */
+    getFingerprintSurprisal({ fingerprint, headers }: BrowserFingerprintWithHeaders): SurprisalReport {
+        const { total, attributes } = this.getHeadersSurprisal(headers);
+        const knownValues: Record<string, string> = { userAgent: fingerprint.navigator.userAgent };
+        let fingerprintTotal = 0;
+
+        for (const { name } of this.fingerprintGeneratorNetwork.toJSON().nodes) {
+            if (name in knownValues) continue;
+
+            const value = name in fingerprint.navigator ? fingerprint.navigator[name as keyof NavigatorFingerprint] : fingerprint[name as keyof Fingerprint];
+            const node = this.fingerprintGeneratorNetwork.nodesByName[name];
+            // Several values of the node can have the same value in the final fingerprint (e.g. missing `maxTouchPoints` is 0).
+            const networkValues = this.getNetworkValueIndex(name).get(JSON.stringify(value ?? null)) ?? [];
+            const probabilities = networkValues.map((networkValue) => node.getProbabilityOfValue(networkValue, knownValues));
+
+            attributes[name] = -Math.log2(probabilities.reduce((acc, probability) => acc + probability, 0));
+            fingerprintTotal += attributes[name];
+            knownValues[name] = networkValues[probabilities.indexOf(Math.max(...probabilities))] ?? MISSING_VALUE_DATASET_TOKEN;
+        }
+
+        return { total: total + fingerprintTotal, attributes };
+    }
+
+    /**
+     * Returns the values of a fingerprint network node indexed by the JSON of their values in the final fingerprint.
+     * @param name Name of the node.
+     */
+    private getNetworkValueIndex(name: string): Map<string, string[]> {
+        if (!this.networkValueIndices.has(name)) {
+            const index = new Map<string, string[]>();
+            for (const networkValue of this.fingerprintGeneratorNetwork.nodesByName[name].possibleValues as string[]) {
+                let value = networkValue === MISSING_VALUE_DATASET_TOKEN ? null : networkValue;
+                if (value?.startsWith(STRINGIFIED_PREFIX)) value = JSON.parse(value.slice(STRINGIFIED_PREFIX.length));
+                if (name in INTEGER_NAVIGATOR_ATTRIBUTES) {
+                    const parsedValue = parseInt(value as string, 10);
+                    value = Number.isNaN(parsedValue) ? INTEGER_NAVIGATOR_ATTRIBUTES[name] as any : parsedValue;
+                }
+
+                const key = JSON.stringify(value);
+                index.set(key, [...index.get(key) ?? [], networkValue]);
+            }
+            this.networkValueIndices.set(name, index);
         }
+        return this.networkValueIndices.get(name)!;
     }
 
     /**
@@ -568,6 +568,23 @@ function overrideUserAgentData(userAgentData) {
             );
 
             overrideInstancePrototype(globalThis.navigator.userAgentData, { brands, mobile, platform });
+
+            // The serialized data would otherwise contain the brands of the controlled browser (e.g. "Google Chrome" instead of "Opera").
+            overridePropertyWithProxy(
+                Object.getPrototypeOf(globalThis.navigator.userAgentData),
+                'toJSON',
+                { apply: () => ({ brands, mobile, platform }) },
+            );
+        }
+
+        // Brave can be detected by the `navigator.brave` object, which is missing in the other Chromium-based browsers.
+        if (brands?.some(({ brand }) => brand === 'Brave') && globalThis.navigator.brave === undefined) {
+            const braveObject = { isBrave: () => Promise.resolve(true) };
+            Object.defineProperty(Object.getPrototypeOf(globalThis.navigator), 'brave', {
+                configurable: true,
+                enumerable: true,
+                get: () => braveObject,
+            });
         }
     } catch (e) {
         console.warn(e);
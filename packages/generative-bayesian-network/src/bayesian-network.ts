@@ -1,9 +1,104 @@
-import AdmZip = require('adm-zip');
-
-import { BayesianNode } from './bayesian-node';
+import { BayesianNode, ProbabilityEstimationOptions } from './bayesian-node';
+import {
+    NetworkDefinition,
+    NetworkDefinitionFormat,
+    parseNetworkDefinition,
+    readNetworkDefinition,
+    serializeNetworkDefinition,
+    writeNetworkDefinition,
+} from './network-io';
+import {
+    createSeededRandom,
+    RandomGenerator,
+    resolveConstraints,
+    ValueConstraints,
+} from './utils';
 
 export type RecordList = Record<string, any>[];
 
+/**
+ * Options for the `BayesianNetwork` class constructor.
+ */
+export interface BayesianNetworkOptions {
+    /**
+     * Path to the file containing the network definition. Zip archives (the default format, including the lazy zip archives),
+     * plain JSON (`.json`), gzip-compressed (`.json.gz`) and brotli-compressed (`.json.br`) JSON files are supported.
+     */
+    path?: string;
+    /**
+     * Network definition to be used instead of reading it from `path`. Either the parsed definition object
+     * (used as is, without copying), or the contents of a network definition file in any of the supported formats.
+     */
+    definition?: NetworkDefinition | Buffer | Uint8Array;
+    /**
+     * Seed for the pseudo-random number generator used for sampling.
+     * Networks created with the same seed produce the same sequence of samples.
+     */
+    seed?: number;
+    /**
+     * Custom source of randomness used for sampling (takes precedence over `seed`). Defaults to `Math.random`.
+     */
+    random?: RandomGenerator;
+}
+
+/**
+ * Binary heap returning the items with the highest priority first.
+ */
+class MaxHeap<T> {
+    private items: T[] = [];
+
+    private getPriority: (item: T) => number;
+
+    /**
+     * @param getPriority Function returning the priority of an item.
+     */
+    constructor(getPriority: (item: T) => number) {
+        this.getPriority = getPriority;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item: T) {
+        this.items.push(item);
+        this.siftUp(this.items.length - 1);
+    }
+
+    pop(): T | undefined {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last!;
+            this.siftDown(0);
+        }
+        return top;
+    }
+
+    private swap(i: number, j: number) {
+        [this.items[i], this.items[j]] = [this.items[j], this.items[i]];
+    }
+
+    private siftUp(i: number) {
+        const parent = Math.floor((i - 1) / 2);
+        if (i > 0 && this.getPriority(this.items[parent]) < this.getPriority(this.items[i])) {
+            this.swap(i, parent);
+            this.siftUp(parent);
+        }
+    }
+
+    private siftDown(i: number) {
+        let largest = i;
+        for (const child of [2 * i + 1, 2 * i + 2]) {
+            if (child < this.items.length && this.getPriority(this.items[child]) > this.getPriority(this.items[largest])) largest = child;
+        }
+        if (largest !== i) {
+            this.swap(i, largest);
+            this.siftDown(largest);
+        }
+    }
+}
+
 /**
  * BayesianNetwork is an implementation of a bayesian network capable of randomly sampling from the distribution
  * represented by the network.
@@ -11,12 +106,24 @@ export type RecordList = Record<string, any>[];
 export class BayesianNetwork {
     private nodesInSamplingOrder : BayesianNode[] = [];
     private nodesByName : Record<string, BayesianNode> = {};
+    private random : RandomGenerator;
+
+    constructor({ path, definition, seed, random }: BayesianNetworkOptions) {
+        this.random = random ?? (seed !== undefined ? createSeededRandom(seed) : Math.random);
 
-    constructor({ path }: {path: string}) {
-        const zip = new AdmZip(path);
-        const zipEntries = zip.getEntries();
+        if ((path === undefined) === (definition === undefined)) {
+            throw new Error('Exactly one of the `path` and `definition` options must be provided.');
+        }
+
+        let networkDefinition: NetworkDefinition;
+        if (path !== undefined) {
+            networkDefinition = readNetworkDefinition(path);
+        } else if (definition instanceof Uint8Array) {
+            networkDefinition = parseNetworkDefinition(definition);
+        } else {
+            networkDefinition = definition!;
+        }
 
-        const networkDefinition = JSON.parse(zipEntries[0].getData().toString('utf8'));
         this.nodesInSamplingOrder = networkDefinition.nodes.map((nodeDefinition: any) => new BayesianNode(nodeDefinition));
 
         this.nodesByName = this.nodesInSamplingOrder.reduce((p, node) => ({
@@ -33,7 +140,7 @@ export class BayesianNetwork {
         const sample = inputValues;
         for (const node of this.nodesInSamplingOrder) {
             if (!(node.name in sample)) {
-                sample[node.name] = node.sample(sample);
+                sample[node.name] = node.sample(sample, this.random);
             }
         }
         return sample;
@@ -42,11 +149,241 @@ export class BayesianNetwork {
     /**
      * Randomly samples values from the distribution represented by the bayesian network,
      * making sure the sample is consistent with the provided restrictions on value possibilities.
-     * Returns false if no such sample can be generated.
-     * @param valuePossibilities A dictionary of lists of possible values for nodes (if a node isn't present in the dictionary, all values are possible).
+     * The restrictions are first propagated through the network, so the sample can be generated in a single
+     * forward pass without backtracking.
+     * Returns an empty object if no such sample can be generated.
+     * @param constraints A dictionary of lists of possible values for nodes (if a node isn't present in the dictionary, all values are possible).
+     * Instead of a list, exclusion lists, numeric ranges, regular expressions and predicate functions can be used (see `ValueConstraint`).
+     */
+    generateConsistentSampleWhenPossible(constraints: ValueConstraints) {
+        const valuePossibilities = resolveConstraints(this, constraints);
+        const { domains: initialDomains, childrenByName } = this.getConstraintDomains(valuePossibilities);
+        if (!initialDomains) return {};
+        let domains = initialDomains;
+
+        const sample: Record<string, string> = {};
+        for (const node of this.nodesInSamplingOrder) {
+            if (!(node.name in domains)) {
+                sample[node.name] = node.sample(sample, this.random);
+                continue;
+            }
+
+            // The propagated domains only contain values that can still be completed into a consistent sample,
+            // so the first sampled value is almost always accepted.
+            const bannedValues: string[] = [];
+            let nextDomains = null;
+            while (!nextDomains) {
+                const value = node.sampleAccordingToRestrictions(sample, [...domains[node.name]], bannedValues, this.random);
+                if (!value) {
+                    // Arc consistency does not rule out all dead ends in networks with undirected cycles.
+                    return this.recursivelyGenerateConsistentSampleWhenPossible({}, valuePossibilities, 0);
+                }
+
+                sample[node.name] = value;
+                nextDomains = this.propagateDomains({ ...domains, [node.name]: new Set([value]) }, [...childrenByName[node.name]], childrenByName);
+                bannedValues.push(value);
+            }
+            domains = nextDomains;
+        }
+
+        return sample;
+    }
+
+    /**
+     * Randomly samples multiple values from the distribution represented by the bayesian network.
+     * With `unique`, the duplicate samples are discarded and sampled again, so the samples follow the distribution
+     * of sampling without replacement. If not enough distinct samples are found within `maxAttempts` samples
+     * (or the constraints cannot be satisfied), fewer samples are returned.
+     * @param count Number of samples to generate.
+     * @param options.unique Whether all the samples have to be distinct. Default value is false.
+     * @param options.constraints Restrictions on the node values, same as in `generateConsistentSampleWhenPossible`.
+     * @param options.maxAttempts Maximum number of generated samples (including the discarded duplicates). Default value is `10 * count`.
+     */
+    generateSamples(
+        count: number,
+        { unique = false, constraints, maxAttempts = 10 * count }: { unique?: boolean; constraints?: ValueConstraints; maxAttempts?: number } = {},
+    ): Record<string, string>[] {
+        const resolvedConstraints = constraints && resolveConstraints(this, constraints);
+        const samples: Record<string, string>[] = [];
+        const seenSamples = new Set<string>();
+
+        for (let attempt = 0; attempt < maxAttempts && samples.length < count; attempt++) {
+            const sample = resolvedConstraints ? this.generateConsistentSampleWhenPossible(resolvedConstraints) : this.generateSample();
+            if (Object.keys(sample).length === 0) break;
+
+            if (unique) {
+                const key = JSON.stringify(sample);
+                if (seenSamples.has(key)) continue;
+                seenSamples.add(key);
+            }
+            samples.push(sample);
+        }
+
+        return samples;
+    }
+
+    /**
+     * Finds the most probable complete samples consistent with the constraints (the MAP assignments),
+     * sorted by their probability. Returns fewer samples if there are not enough consistent samples.
+     * @param count Number of the samples to return.
+     * @param constraints Restrictions on the node values, same as in `generateConsistentSampleWhenPossible`.
+     */
+    getMostProbableSamples(count = 1, constraints: ValueConstraints = {}): { sample: Record<string, string>; probability: number }[] {
+        const { domains } = this.getConstraintDomains(resolveConstraints(this, constraints));
+        if (!domains) return [];
+
+        // Best-first search over the partial samples in the sampling order. Adding a node never increases the probability,
+        // so the complete samples are found in the order of their probabilities. The values of a node are sorted
+        // by their probability and the next sibling is only added to the queue once the previous one is taken out of it.
+        type SearchState = {
+            values: Record<string, string>;
+            probability: number;
+            siblings: [string, number][];
+            siblingIndex: number;
+            parentProbability: number;
+        };
+
+        const results: { sample: Record<string, string>; probability: number }[] = [];
+        const queue = new MaxHeap<SearchState>((state) => state.probability);
+
+        const pushChildren = (values: Record<string, string>, probability: number) => {
+            const node = this.nodesInSamplingOrder[Object.keys(values).length];
+            const probabilities = node.getProbabilitiesGivenKnownValues(values);
+            const children = Object.entries(probabilities)
+                .filter(([value, p]) => p > 0 && (!domains[node.name] || domains[node.name].has(value)))
+                .sort((a, b) => b[1] - a[1]);
+            if (children.length === 0) return;
+
+            queue.push({
+                values: { ...values, [node.name]: children[0][0] },
+                probability: probability * children[0][1],
+                siblings: children,
+                siblingIndex: 0,
+                parentProbability: probability,
+            });
+        };
+
+        if (this.nodesInSamplingOrder.length > 0) pushChildren({}, 1);
+        while (queue.size > 0 && results.length < count) {
+            const state = queue.pop()!;
+            const nextSiblingIndex = state.siblingIndex + 1;
+            if (nextSiblingIndex < state.siblings.length) {
+                const [value, probability] = state.siblings[nextSiblingIndex];
+                const node = this.nodesInSamplingOrder[Object.keys(state.values).length - 1];
+                queue.push({
+                    ...state,
+                    values: { ...state.values, [node.name]: value },
+                    probability: state.parentProbability * probability,
+                    siblingIndex: nextSiblingIndex,
+                });
+            }
+
+            if (Object.keys(state.values).length === this.nodesInSamplingOrder.length) {
+                results.push({ sample: state.values, probability: state.probability });
+            } else {
+                pushChildren(state.values, state.probability);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Computes the domains (lists of the possible values) of all the nodes induced by the constraints, i.e. the values
+     * that are part of at least one sample with a non-zero probability after the constraints are propagated through
+     * the whole network. Returns null if the constraints cannot be satisfied.
+     * @param constraints Restrictions on the node values, same as in `generateConsistentSampleWhenPossible`.
+     */
+    getInducedDomains(constraints: ValueConstraints): Record<string, string[]> | null {
+        const { domains } = this.getConstraintDomains(resolveConstraints(this, constraints), this.nodesInSamplingOrder);
+        if (!domains) return null;
+
+        return Object.fromEntries(this.nodesInSamplingOrder.map((node) => [
+            node.name,
+            node.possibleValues.filter((value: string) => domains[node.name].has(value)),
+        ]));
+    }
+
+    /**
+     * Creates the domains (sets of allowed values) of the restricted nodes and their ancestors and propagates
+     * the restrictions through them. Only these nodes can influence whether the restrictions are satisfied,
+     * the distributions of all the other nodes sum up to one given any values of the restricted nodes.
+     * @param valuePossibilities Whitelists of the possible values of the nodes.
+     * @param relevantNodes Nodes the restrictions are propagated through, in the sampling order.
+     * Default value are the restricted nodes and their ancestors.
      */
-    generateConsistentSampleWhenPossible(valuePossibilities: Record<string, string[]>) {
-        return this.recursivelyGenerateConsistentSampleWhenPossible({}, valuePossibilities, 0);
+    private getConstraintDomains(
+        valuePossibilities: Record<string, string[]>,
+        relevantNodes = this.getRelevantNodes(Object.keys(valuePossibilities)),
+    ) {
+        const childrenByName: Record<string, BayesianNode[]> = {};
+        const initialDomains: Record<string, Set<string>> = {};
+        for (const node of relevantNodes) {
+            childrenByName[node.name] = [];
+            initialDomains[node.name] = new Set(valuePossibilities[node.name] ?? node.possibleValues);
+            for (const parentName of node.parentNames) childrenByName[parentName].push(node);
+        }
+
+        return {
+            domains: this.propagateDomains(initialDomains, [...relevantNodes], childrenByName),
+            childrenByName,
+        };
+    }
+
+    /**
+     * Returns the given nodes together with all their ancestors, in the sampling order.
+     * @param nodeNames Names of the nodes, names not present in the network are ignored.
+     */
+    private getRelevantNodes(nodeNames: string[]) {
+        const relevantNodeNames = new Set<string>();
+        const stack = nodeNames.filter((name) => name in this.nodesByName);
+
+        while (stack.length > 0) {
+            const name = stack.pop()!;
+            if (!relevantNodeNames.has(name)) {
+                relevantNodeNames.add(name);
+                stack.push(...this.nodesByName[name].parentNames);
+            }
+        }
+
+        return this.nodesInSamplingOrder.filter((node) => relevantNodeNames.has(node.name));
+    }
+
+    /**
+     * Removes the values that cannot be part of a sample with a non-zero probability from the domains of the nodes
+     * (generalized arc consistency), propagating the changes both to the parents and the children of the nodes.
+     * Returns the reduced domains, or null if some of the domains becomes empty. The passed domains are not modified.
+     * @param domains Sets of allowed values of the nodes.
+     * @param queue Nodes whose conditional distributions should be checked first.
+     * @param childrenByName Children of the nodes whose domains are being reduced.
+     */
+    private propagateDomains(
+        domains: Record<string, Set<string>>,
+        queue: BayesianNode[],
+        childrenByName: Record<string, BayesianNode[]>,
+    ): Record<string, Set<string>> | null {
+        const reducedDomains = { ...domains };
+        const queued = new Set(queue);
+
+        while (queue.length > 0) {
+            const node = queue.shift()!;
+            queued.delete(node);
+
+            for (const [name, supportedValues] of Object.entries(node.getSupportedValues(reducedDomains))) {
+                if (supportedValues.size === 0) return null;
+                if (supportedValues.size === reducedDomains[name].size) continue;
+
+                reducedDomains[name] = supportedValues;
+                for (const affectedNode of [this.nodesByName[name], ...childrenByName[name]]) {
+                    if (affectedNode !== node && !queued.has(affectedNode)) {
+                        queue.push(affectedNode);
+                        queued.add(affectedNode);
+                    }
+                }
+            }
+        }
+
+        return reducedDomains;
     }
 
     /**
@@ -63,7 +400,7 @@ export class BayesianNetwork {
         let sampleValue;
 
         do {
-            sampleValue = node.sampleAccordingToRestrictions(sampleSoFar, valuePossibilities[node.name], bannedValues);
+            sampleValue = node.sampleAccordingToRestrictions(sampleSoFar, valuePossibilities[node.name], bannedValues, this.random);
             if (!sampleValue) break;
 
             sampleSoFar[node.name] = sampleValue;
@@ -83,35 +420,233 @@ export class BayesianNetwork {
         return {};
     }
 
+    /**
+     * Computes the probability of the given sample. If the sample is partial, the missing nodes are marginalized out.
+     * Values of attributes that are not nodes of this network are ignored.
+     * @param sample Values of (some of) the network nodes.
+     */
+    getProbability(sample: Record<string, string>): number {
+        return this.getJointDistribution(sample).reduce((acc, { probability }) => acc + probability, 0);
+    }
+
+    /**
+     * Computes the natural logarithm of the probability of the given (full or partial) sample.
+     * @param sample Values of (some of) the network nodes.
+     */
+    getLogLikelihood(sample: Record<string, string>): number {
+        if (this.nodesInSamplingOrder.every((node) => node.name in sample)) {
+            // Summing the logarithms avoids the floating point underflow of long products.
+            return this.nodesInSamplingOrder.reduce((acc, node) => acc + Math.log(node.getProbabilityOfValue(sample[node.name], sample)), 0);
+        }
+
+        return Math.log(this.getProbability(sample));
+    }
+
+    /**
+     * Computes the surprisal (self-information) in bits of the values of the given (full or partial) sample, node by node
+     * in the sampling order. The surprisal of a value is the negative binary logarithm of its probability given the values
+     * preceding it, so the surprisals of the individual values sum up to the surprisal of the whole sample.
+     * Rare values carry more information, impossible values have an infinite surprisal.
+     * @param sample Values of (some of) the network nodes.
+     */
+    getSurprisal(sample: Record<string, string>): Record<string, number> {
+        const surprisal: Record<string, number> = {};
+        const knownValues: Record<string, string> = {};
+        let logProbability = 0;
+
+        for (const node of this.nodesInSamplingOrder) {
+            if (!(node.name in sample)) continue;
+
+            // The earlier nodes are not descendants of this node, so with known parents, they are irrelevant.
+            if (node.parentNames.every((parentName) => parentName in knownValues)) {
+                surprisal[node.name] = -Math.log2(node.getProbabilityOfValue(sample[node.name], knownValues));
+            } else {
+                const nextLogProbability = Math.log2(this.getProbability({ ...knownValues, [node.name]: sample[node.name] }));
+                surprisal[node.name] = Number.isFinite(logProbability) ? logProbability - nextLogProbability : Infinity;
+            }
+
+            knownValues[node.name] = sample[node.name];
+            logProbability -= surprisal[node.name];
+        }
+
+        return surprisal;
+    }
+
+    /**
+     * Computes the marginal distribution of the given node, conditioned on the provided evidence.
+     * Returns an empty object if the evidence is impossible.
+     * @param nodeName Name of the node.
+     * @param evidence Already known node values.
+     */
+    getMarginalDistribution(nodeName: string, evidence: Record<string, string> = {}): Record<string, number> {
+        if (!(nodeName in this.nodesByName)) {
+            throw new Error(`Node "${nodeName}" does not exist in the network.`);
+        }
+
+        const distribution: Record<string, number> = {};
+        let totalProbability = 0;
+        for (const { values, probability } of this.getJointDistribution(evidence, nodeName)) {
+            distribution[values[nodeName]] = (distribution[values[nodeName]] ?? 0) + probability;
+            totalProbability += probability;
+        }
+
+        for (const value of Object.keys(distribution)) {
+            distribution[value] /= totalProbability;
+        }
+
+        return distribution;
+    }
+
+    /**
+     * Computes the joint probabilities of the evidence and all values of the query node by enumerating
+     * the relevant nodes in the sampling order. Nodes that are not ancestors of the evidence or the query node
+     * sum up to one and are skipped, values that are not needed by any of the following nodes are summed out on the way.
+     * @param evidence Already known node values.
+     * @param queryNodeName Name of the node whose values should be kept in the result.
+     */
+    private getJointDistribution(evidence: Record<string, string>, queryNodeName?: string) {
+        const relevantNodes = this.getRelevantNodes(queryNodeName ? [...Object.keys(evidence), queryNodeName] : Object.keys(evidence));
+        const lastUsage: Record<string, number> = {};
+        relevantNodes.forEach((node, i) => {
+            for (const parentName of node.parentNames) lastUsage[parentName] = i;
+        });
+
+        let states = [{ values: {} as Record<string, string>, probability: 1 }];
+        relevantNodes.forEach((node, i) => {
+            const nextStates = new Map<string, typeof states[number]>();
+            for (const state of states) {
+                const probabilities = node.getProbabilitiesGivenKnownValues(state.values);
+                const values = node.name in evidence ? [evidence[node.name]] : Object.keys(probabilities);
+
+                for (const value of values) {
+                    const probability = state.probability * (probabilities[value] ?? 0);
+                    if (probability === 0) continue;
+
+                    const nextValues = { ...state.values, [node.name]: value };
+                    for (const name of Object.keys(nextValues)) {
+                        if ((lastUsage[name] ?? -1) <= i && name !== queryNodeName) delete nextValues[name];
+                    }
+
+                    const key = JSON.stringify(nextValues);
+                    const existing = nextStates.get(key);
+                    if (existing) {
+                        existing.probability += probability;
+                    } else {
+                        nextStates.set(key, { values: nextValues, probability });
+                    }
+                }
+            }
+            states = [...nextStates.values()];
+        });
+
+        return states;
+    }
+
     /**
      * Sets the conditional probability distributions of this network's nodes to match the given data.
-     * @param dataframe A Danfo.js dataframe containing the data.
+     * The data are read only once and only the value counts are kept in memory, so any iterable
+     * (e.g. a generator reading the records one by one) can be used instead of an array.
+     * @param data A RecordList (or any other iterable of records) containing the data.
+     * @param options Smoothing and backoff options used for the estimation.
+     */
+    setProbabilitiesAccordingToData(data: Iterable<Record<string, any>>, options: ProbabilityEstimationOptions = {}) {
+        this.nodesInSamplingOrder.forEach((node) => node.resetCounts(options));
+        for (const record of data) {
+            this.countRecord(record);
+        }
+        this.setProbabilitiesAccordingToCounts();
+    }
+
+    /**
+     * Sets the conditional probability distributions of this network's nodes to match the streamed data.
+     * Only the value counts are kept in memory, so the memory usage does not grow with the number of records.
+     * @param records An async iterable (e.g. a readable stream in object mode) of records.
+     * @param options Smoothing and backoff options used for the estimation.
+     */
+    async setProbabilitiesAccordingToStream(
+        records: AsyncIterable<Record<string, any>> | Iterable<Record<string, any>>,
+        options: ProbabilityEstimationOptions = {},
+    ) {
+        this.nodesInSamplingOrder.forEach((node) => node.resetCounts(options));
+        for await (const record of records) {
+            this.countRecord(record);
+        }
+        this.setProbabilitiesAccordingToCounts();
+    }
+
+    /**
+     * Updates the conditional probability distributions with new data without retraining the network from scratch.
+     * This is only possible for networks whose probabilities were set with `setProbabilitiesAccordingToData`,
+     * as their definitions contain the value counts observed in the original data.
+     * @param data A RecordList (or any other iterable of records) containing the new data.
+     * @param options.decay Factor between 0 and 1 the previously observed counts are multiplied with
+     * before adding the new data, so older data can gradually lose weight. Default value is 1 (no decay).
      */
-    setProbabilitiesAccordingToData(data: RecordList) {
-        this.nodesInSamplingOrder.forEach((node, i) => {
-            // eslint-disable-next-line no-console
-            console.log(`${i}/${this.nodesInSamplingOrder.length} Setting probabilities for node ${node.name}`);
+    update(data: Iterable<Record<string, any>>, { decay = 1 }: { decay?: number } = {}) {
+        if (decay < 0 || decay > 1) {
+            throw new Error(`The decay must be a number between 0 and 1, got ${decay}.`);
+        }
+
+        if (this.nodesInSamplingOrder.some((node) => !node.toJSON().conditionalCounts)) {
+            throw new Error('The network definition does not contain the value counts needed for an update. '
+                + 'Set the probabilities using `setProbabilitiesAccordingToData` first.');
+        }
+
+        this.nodesInSamplingOrder.forEach((node) => node.decayCounts(decay));
+        for (const record of data) {
+            this.countRecord(record);
+        }
+        this.setProbabilitiesAccordingToCounts();
+    }
+
+    /**
+     * Adds a single record to the value counts of all the nodes.
+     * @param record A single record of the data.
+     */
+    private countRecord(record: Record<string, any>) {
+        for (const node of this.nodesInSamplingOrder) {
+            node.countRecord(record);
+        }
+    }
+
+    /**
+     * Sets the conditional probability distributions of all the nodes according to their value counts.
+     * The nodes are processed in the sampling order, so the possible values of the parents are always up to date.
+     */
+    private setProbabilitiesAccordingToCounts() {
+        for (const node of this.nodesInSamplingOrder) {
             const possibleParentValues: Record<string, string[]> = {};
             for (const parentName of node.parentNames) {
                 possibleParentValues[parentName] = this.nodesByName[parentName].possibleValues;
             }
-            node.setProbabilitiesAccordingToData(data, possibleParentValues);
-        });
+            node.setProbabilitiesAccordingToCounts(possibleParentValues);
+        }
     }
 
     /**
-     * Saves the network definition to the specified file path to be used later.
-     * @param networkDefinitionFilePath File path where the network definition should be saved.
+     * Returns the network definition, which can be passed to the constructor of another network.
      */
-    saveNetworkDefinition({ path } : {path: string}) {
-        const network = {
-            nodes: this.nodesInSamplingOrder,
+    toJSON(): NetworkDefinition {
+        return {
+            nodes: this.nodesInSamplingOrder.map((node) => node.toJSON()),
         };
+    }
 
-        // creating archives
-        const zip = new AdmZip();
+    /**
+     * Serializes the network definition, e.g. to be stored outside of the file system.
+     * @param format Format of the output, zip by default.
+     */
+    toBuffer(format: NetworkDefinitionFormat = 'zip'): Buffer {
+        return serializeNetworkDefinition(this.toJSON(), format);
+    }
 
-        zip.addFile('network.json', Buffer.from(JSON.stringify(network), 'utf8'));
-        zip.writeZip(path);
+    /**
+     * Saves the network definition to the specified file path to be used later.
+     * @param path File path where the network definition should be saved.
+     * @param format Format of the file. By default, it is inferred from the file extension
+     * (`.json`, `.gz` and `.br`), other files are saved as zip archives. Use `lazy-zip` to load the large nodes lazily.
+     */
+    saveNetworkDefinition({ path, format } : { path: string; format?: NetworkDefinitionFormat }) {
+        writeNetworkDefinition(this.toJSON(), path, format);
     }
 }
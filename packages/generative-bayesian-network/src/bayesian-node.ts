@@ -1,26 +1,51 @@
-import { RecordList } from './bayesian-network';
+import { RandomGenerator } from './utils';
 
 /**
-* Calculates relative frequencies of values of specific attribute from the given data
-* @param dataframe A Danfo.js dataframe containing the data.
-* @param attributeName Attribute name.
-*/
-function getRelativeFrequencies(data: RecordList, attributeName: keyof RecordList[number]) {
-    const frequencies : Record<string, number> = {};
-    const totalCount = data.length;
-
-    data.forEach((record) => {
-        const value = record[attributeName];
-        frequencies[value] = (frequencies[value] ?? 0) + 1;
-    });
-
-    return Object.fromEntries(Object.entries(frequencies).map(([key, value]) => [key, value / totalCount]));
+ * Sums up the given value counts.
+ * @param counts List of value counts.
+ */
+function mergeCounts(counts: Record<string, number>[]) {
+    const merged: Record<string, number> = {};
+    for (const valueCounts of counts) {
+        for (const [value, count] of Object.entries(valueCounts)) {
+            merged[value] = (merged[value] ?? 0) + count;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Key of the objects referencing the shared subtrees of the conditional probability trees (see `NodeDefinition.sharedSubtrees`).
+ */
+export const SHARED_SUBTREE_KEY = '*SHARED_SUBTREE*';
+
+/**
+ * Options for estimating the conditional probabilities from data.
+ */
+export interface ProbabilityEstimationOptions {
+    /**
+     * Strength of the Dirichlet prior, i.e. the pseudo-count added to every possible value of the node
+     * (with the `uniform` prior). Zero means plain relative frequencies, one is Laplace smoothing. Default value is 0.
+     *
+     * **Note:** With smoothing, every conditional distribution contains all the possible values of the node.
+     */
+    alpha?: number;
+    /**
+     * Base distribution of the Dirichlet prior. `uniform` spreads the pseudo-counts evenly over the possible values,
+     * `marginal` spreads them proportionally to the overall frequencies of the values in the data. Default value is `uniform`.
+     */
+    prior?: 'uniform' | 'marginal';
+    /**
+     * Minimum number of records with a given parent value needed to estimate a separate distribution for it.
+     * Sparser parent values back off to the distribution estimated without this parent (the `skip` branch). Default value is 1.
+     */
+    minCount?: number;
 }
 
 /**
  * Bayesian network node definition.
  */
-interface NodeDefinition {
+export interface NodeDefinition {
     /**
      * Name of this node.
      */
@@ -37,6 +62,46 @@ interface NodeDefinition {
      * Conditional probabilities for the `possibleValues`, given specified ancestor values.
      */
     conditionalProbabilities: any;
+    /**
+     * Observed (possibly decayed) counts of the `possibleValues`, indexed by the JSON-encoded array of the parent values.
+     * These are the sufficient statistics allowing incremental updates of the conditional probabilities.
+     */
+    conditionalCounts?: Record<string, Record<string, number>>;
+    /**
+     * Options the conditional probabilities were estimated with.
+     */
+    estimationOptions?: ProbabilityEstimationOptions;
+    /**
+     * Subtrees repeated in the `conditionalProbabilities`, which are replaced by `{ "*SHARED_SUBTREE*": index }`
+     * objects referencing them to make the definition smaller. The references are resolved when the node is created.
+     */
+    sharedSubtrees?: any[];
+}
+
+/**
+ * Replaces the references to the shared subtrees with the subtrees themselves.
+ * The repeated subtrees are represented by the same object, so they don't take up more memory either.
+ * @param tree Conditional probability tree (or its subtree).
+ * @param sharedSubtrees The shared subtrees, possibly containing references themselves.
+ * @param resolvedSubtrees Already resolved shared subtrees.
+ */
+function resolveSharedSubtrees(tree: any, sharedSubtrees: any[], resolvedSubtrees: any[] = []): any {
+    if (typeof tree !== 'object' || tree === null) return tree;
+
+    if (SHARED_SUBTREE_KEY in tree) {
+        const index = tree[SHARED_SUBTREE_KEY];
+        resolvedSubtrees[index] ??= resolveSharedSubtrees(sharedSubtrees[index], sharedSubtrees, resolvedSubtrees);
+        return resolvedSubtrees[index];
+    }
+
+    if (!('deeper' in tree)) return tree;
+
+    const resolved: any = { deeper: {} };
+    for (const [value, subtree] of Object.entries(tree.deeper)) {
+        resolved.deeper[value] = resolveSharedSubtrees(subtree, sharedSubtrees, resolvedSubtrees);
+    }
+    if (tree.skip) resolved.skip = resolveSharedSubtrees(tree.skip, sharedSubtrees, resolvedSubtrees);
+    return resolved;
 }
 
 /**
@@ -45,11 +110,24 @@ interface NodeDefinition {
 export class BayesianNode {
     private nodeDefinition: NodeDefinition;
 
+    /**
+     * Whether the node definition is a private copy, which can be modified without affecting other networks.
+     */
+    private ownsDefinition = false;
+
     /**
      * @param nodeDefinition Node structure and distributions definition taken from the network definition file.
      */
     constructor(nodeDefinition: NodeDefinition) {
-        this.nodeDefinition = nodeDefinition;
+        if (nodeDefinition.sharedSubtrees) {
+            const { sharedSubtrees, ...definition } = nodeDefinition;
+            this.nodeDefinition = {
+                ...definition,
+                conditionalProbabilities: resolveSharedSubtrees(nodeDefinition.conditionalProbabilities, sharedSubtrees),
+            };
+        } else {
+            this.nodeDefinition = nodeDefinition;
+        }
     }
 
     toJSON() {
@@ -60,7 +138,7 @@ export class BayesianNode {
      * Extracts unconditional probabilities of node values given the values of the parent nodes
      * @param parentValues Parent nodes values.
      */
-    private getProbabilitiesGivenKnownValues(parentValues: Record<string, string> = {}) {
+    getProbabilitiesGivenKnownValues(parentValues: Record<string, string> = {}): Record<string, number> {
         let probabilities = this.nodeDefinition.conditionalProbabilities;
 
         for (const parentName of this.parentNames) {
@@ -70,19 +148,36 @@ export class BayesianNode {
             } else {
                 probabilities = probabilities.skip;
             }
+            // There is no fallback distribution for this combination of parent values.
+            if (!probabilities) return {};
         }
         return probabilities;
     }
 
+    /**
+     * Returns the conditional probability of the given value of this node given the values of the parent nodes.
+     * @param value Value of this node.
+     * @param parentValues Parent nodes values.
+     */
+    getProbabilityOfValue(value: string, parentValues: Record<string, string> = {}): number {
+        return this.getProbabilitiesGivenKnownValues(parentValues)[value] ?? 0;
+    }
+
     /**
      * Randomly samples from the given values using the given probabilities
      * @param possibleValues A list of values to sample from.
      * @param totalProbabilityOfPossibleValues Sum of probabilities of possibleValues in the conditional distribution.
      * @param probabilities A dictionary of probabilities from the conditional distribution, indexed by the values.
+     * @param random Source of randomness used for the sampling.
      */
-    private sampleRandomValueFromPossibilities(possibleValues: string[], totalProbabilityOfPossibleValues: number, probabilities: Record<string, number>) {
+    private sampleRandomValueFromPossibilities(
+        possibleValues: string[],
+        totalProbabilityOfPossibleValues: number,
+        probabilities: Record<string, number>,
+        random: RandomGenerator,
+    ) {
         let chosenValue = possibleValues[0];
-        const anchor = Math.random() * totalProbabilityOfPossibleValues;
+        const anchor = random() * totalProbabilityOfPossibleValues;
         let cumulativeProbability = 0;
         for (const possibleValue of possibleValues) {
             cumulativeProbability += probabilities[possibleValue];
@@ -98,12 +193,13 @@ export class BayesianNode {
     /**
      * Randomly samples from the conditional distribution of this node given values of parents
      * @param parentValues Values of the parent nodes.
+     * @param random Source of randomness used for the sampling, `Math.random` by default.
      */
-    sample(parentValues = {}) {
+    sample(parentValues = {}, random: RandomGenerator = Math.random) {
         const probabilities = this.getProbabilitiesGivenKnownValues(parentValues);
         const possibleValues = Object.keys(probabilities);
 
-        return this.sampleRandomValueFromPossibilities(possibleValues, 1.0, probabilities);
+        return this.sampleRandomValueFromPossibilities(possibleValues, 1.0, probabilities, random);
     }
 
     /**
@@ -112,75 +208,280 @@ export class BayesianNode {
      * @param parentValues Values of the parent nodes.
      * @param valuePossibilities List of possible values for this node.
      * @param bannedValues What values of this node are banned.
+     * @param random Source of randomness used for the sampling, `Math.random` by default.
      */
-    sampleAccordingToRestrictions(parentValues: Record<string, string>, valuePossibilities: string[], bannedValues: string[]) : string | false {
+    sampleAccordingToRestrictions(
+        parentValues: Record<string, string>,
+        valuePossibilities: string[],
+        bannedValues: string[],
+        random: RandomGenerator = Math.random,
+    ) : string | false {
         const probabilities = this.getProbabilitiesGivenKnownValues(parentValues);
         let totalProbability = 0.0;
         const validValues = [];
-        const valuesInDistribution = Object.keys(probabilities);
-        const possibleValues = valuePossibilities || valuesInDistribution;
+        const banned = new Set(bannedValues);
+        const possibleValues = valuePossibilities || Object.keys(probabilities);
         for (const value of possibleValues) {
-            if (!bannedValues.includes(value) && valuesInDistribution.includes(value)) {
+            if (!banned.has(value) && probabilities[value] !== undefined) {
                 validValues.push(value);
                 totalProbability += probabilities[value];
             }
         }
 
         if (validValues.length === 0) return false;
-        return this.sampleRandomValueFromPossibilities(validValues, totalProbability, probabilities);
+        return this.sampleRandomValueFromPossibilities(validValues, totalProbability, probabilities, random);
+    }
+
+    /**
+     * Finds the values of this node and its parents that are part of at least one combination of values
+     * with a non-zero probability, considering only the values allowed by the given domains.
+     * @param domains Sets of allowed values of this node and its parents.
+     */
+    getSupportedValues(domains: Record<string, Set<string>>): Record<string, Set<string>> {
+        const supportedValues: Record<string, Set<string>> = {};
+        for (const name of [this.name, ...this.parentNames]) {
+            supportedValues[name] = new Set();
+        }
+
+        this.recursivelyCollectSupportedValues(this.nodeDefinition.conditionalProbabilities, domains, supportedValues, 0);
+        return supportedValues;
+    }
+
+    /**
+     * Recursively walks the conditional probability tree, following only the branches of the allowed parent values.
+     * Returns true if the subtree contains an allowed value of this node with a non-zero probability.
+     * @param probabilities Current subtree of the conditional probabilities.
+     * @param domains Sets of allowed values of this node and its parents.
+     * @param supportedValues Sets the supported values are collected to.
+     * @param depth Depth of the current recursive call.
+     */
+    private recursivelyCollectSupportedValues(
+        probabilities: any,
+        domains: Record<string, Set<string>>,
+        supportedValues: Record<string, Set<string>>,
+        depth: number,
+    ): boolean {
+        if (!probabilities) return false;
+
+        if (depth >= this.parentNames.length) {
+            const domain = domains[this.name];
+            const values = Object.keys(probabilities);
+            let isSupported = false;
+            // Iterating over the smaller of the two sets keeps this cheap for both large distributions and large domains.
+            for (const value of values.length < domain.size ? values : domain) {
+                if (probabilities[value] > 0 && domain.has(value)) {
+                    supportedValues[this.name].add(value);
+                    isSupported = true;
+                }
+            }
+            return isSupported;
+        }
+
+        const parentName = this.parentNames[depth];
+        const skippedValues = [];
+        let isSupported = false;
+        for (const value of domains[parentName]) {
+            if (value in probabilities.deeper) {
+                if (this.recursivelyCollectSupportedValues(probabilities.deeper[value], domains, supportedValues, depth + 1)) {
+                    supportedValues[parentName].add(value);
+                    isSupported = true;
+                }
+            } else {
+                skippedValues.push(value);
+            }
+        }
+
+        // All the parent values without their own branch share the fallback distribution.
+        if (skippedValues.length > 0 && this.recursivelyCollectSupportedValues(probabilities.skip, domains, supportedValues, depth + 1)) {
+            for (const value of skippedValues) supportedValues[parentName].add(value);
+            isSupported = true;
+        }
+
+        return isSupported;
     }
 
     /**
      * Sets the conditional probability distribution for this node to match the given data.
      * @param data A RecordList containing the data.
      * @param possibleParentValues A dictionary of lists of possible values for parent nodes.
+     * @param options Smoothing and backoff options.
+     */
+    setProbabilitiesAccordingToData(
+        data: Iterable<Record<string, any>>,
+        possibleParentValues: Record<string, string[]> = {},
+        options: ProbabilityEstimationOptions = {},
+    ) {
+        this.resetCounts(options);
+        for (const record of data) {
+            this.countRecord(record);
+        }
+        this.setProbabilitiesAccordingToCounts(possibleParentValues);
+    }
+
+    /**
+     * Discards the stored value counts, so the node can be trained from scratch.
+     * @param options Smoothing and backoff options used for the following estimation.
+     */
+    resetCounts(options: ProbabilityEstimationOptions = {}) {
+        this.copyDefinition();
+        this.nodeDefinition.conditionalCounts = {};
+        this.nodeDefinition.estimationOptions = options;
+    }
+
+    /**
+     * Multiplies the stored value counts by the given factor, so the older data gradually lose weight.
+     * @param decay Factor between 0 and 1.
+     */
+    decayCounts(decay: number) {
+        const counts = this.getCounts();
+        if (decay === 0) {
+            for (const key of Object.keys(counts)) delete counts[key];
+        } else if (decay !== 1) {
+            for (const valueCounts of Object.values(counts)) {
+                for (const value of Object.keys(valueCounts)) {
+                    valueCounts[value] *= decay;
+                }
+            }
+        }
+    }
+
+    /**
+     * Adds the value of this node in the given record to the stored counts. Call `setProbabilitiesAccordingToCounts`
+     * after all the records have been counted to update the conditional probability distribution.
+     * @param record A single record of the data.
+     */
+    countRecord(record: Record<string, any>) {
+        const counts = this.getCounts();
+        // The values are counted as strings (missing values as `'undefined'`), the same as the keys of the counts and the probabilities.
+        const key = JSON.stringify(this.parentNames.map((parentName) => String(record[parentName])));
+        const value = String(record[this.name]);
+        counts[key] ??= {};
+        counts[key][value] = (counts[key][value] ?? 0) + 1;
+    }
+
+    /**
+     * Sets the possible values and the conditional probability distribution for this node to match the stored value counts.
+     * @param possibleParentValues A dictionary of lists of possible values for parent nodes.
      */
-    setProbabilitiesAccordingToData(data: RecordList, possibleParentValues: Record<string, string[]> = {}) {
-        this.nodeDefinition.possibleValues = Array.from(new Set(data.map((record) => record[this.name])));
-        this.nodeDefinition.conditionalProbabilities = this.recursivelyCalculateConditionalProbabilitiesAccordingToData(
-            data,
+    setProbabilitiesAccordingToCounts(possibleParentValues: Record<string, string[]> = {}) {
+        const entries = Object.entries(this.getCounts()).map(([key, valueCounts]) => ({
+            parentValues: JSON.parse(key) as string[],
+            valueCounts,
+            totalCount: Object.values(valueCounts).reduce((acc, count) => acc + count, 0),
+        }));
+        const marginalCounts = mergeCounts(entries.map(({ valueCounts }) => valueCounts));
+        const totalCount = entries.reduce((acc, entry) => acc + entry.totalCount, 0);
+
+        this.copyDefinition();
+        this.nodeDefinition.possibleValues = Object.keys(marginalCounts);
+        this.nodeDefinition.conditionalProbabilities = this.recursivelyCalculateConditionalProbabilitiesAccordingToCounts(
+            entries,
             possibleParentValues,
             0,
+            this.getPseudoCounts(Object.fromEntries(Object.entries(marginalCounts).map(([value, count]) => [value, count / totalCount]))),
+            Math.max(this.nodeDefinition.estimationOptions?.minCount ?? 1, 1),
         );
     }
 
     /**
-     * Recursively calculates the conditional probability distribution for this node from the data.
-     * @param dataframe A Danfo.js dataframe containing the data.
+     * Returns the stored value counts, throws if the node definition does not contain them.
+     */
+    private getCounts() {
+        this.copyDefinition();
+        const counts = this.nodeDefinition.conditionalCounts;
+        if (!counts) {
+            throw new Error(`Node "${this.name}" does not contain the value counts needed for the estimation.`);
+        }
+        return counts;
+    }
+
+    /**
+     * Replaces the node definition with a copy before it is modified for the first time. The definitions can be shared
+     * by multiple networks (e.g. the cached definitions read from files), so they must never be modified in place.
+     */
+    private copyDefinition() {
+        if (this.ownsDefinition) return;
+
+        const { conditionalCounts } = this.nodeDefinition;
+        this.nodeDefinition = { ...this.nodeDefinition };
+        if (conditionalCounts) {
+            this.nodeDefinition.conditionalCounts = Object.fromEntries(
+                Object.entries(conditionalCounts).map(([key, valueCounts]) => [key, { ...valueCounts }]),
+            );
+        }
+        this.ownsDefinition = true;
+    }
+
+    /**
+     * Calculates the pseudo-counts of the Dirichlet prior given by the estimation options.
+     * @param marginalProbabilities Overall relative frequencies of the values of this node.
+     */
+    private getPseudoCounts(marginalProbabilities: Record<string, number>): Record<string, number> {
+        const { alpha = 0, prior = 'uniform' } = this.nodeDefinition.estimationOptions ?? {};
+        if (alpha <= 0) return {};
+
+        const valueCount = this.possibleValues.length;
+        const baseDistribution = prior === 'marginal'
+            ? marginalProbabilities
+            : Object.fromEntries(this.possibleValues.map((value) => [value, 1 / valueCount]));
+
+        return Object.fromEntries(
+            Object.entries(baseDistribution).map(([value, probability]) => [value, alpha * valueCount * probability]),
+        );
+    }
+
+    /**
+     * Recursively calculates the conditional probability distribution for this node from the value counts.
+     * The counts are grouped by the value of the parent on the current depth, parent values with too few records
+     * share a single `skip` branch calculated from all the counts on this level.
+     * @param entries Value counts for the individual combinations of parent values.
      * @param possibleParentValues A dictionary of lists of possible values for parent nodes.
      * @param depth Depth of the current recursive call.
+     * @param pseudoCounts Pseudo-counts of the values added to the observed counts.
+     * @param minCount Minimum number of records needed for a separate branch of a parent value.
      */
-    private recursivelyCalculateConditionalProbabilitiesAccordingToData(
-        data: RecordList,
+    private recursivelyCalculateConditionalProbabilitiesAccordingToCounts(
+        entries: { parentValues: string[]; valueCounts: Record<string, number>; totalCount: number }[],
         possibleParentValues: Record<string, string[]>,
         depth: number,
-    ) {
-        let probabilities = {
-            deeper: {},
-        } as any;
-
-        if (depth < this.parentNames.length) {
-            const currentParentName = this.parentNames[depth];
-            for (const possibleValue of possibleParentValues[currentParentName]) {
-                const skip = !data.map((record) => record[currentParentName]).includes(possibleValue);
-                let filteredData = data;
-                if (!skip) {
-                    filteredData = data.filter((record) => record[currentParentName] === possibleValue);
-                }
-                const nextLevel = this.recursivelyCalculateConditionalProbabilitiesAccordingToData(
-                    filteredData,
+        pseudoCounts: Record<string, number>,
+        minCount: number,
+    ): any {
+        if (depth >= this.parentNames.length) {
+            const frequencies = mergeCounts([...entries.map(({ valueCounts }) => valueCounts), pseudoCounts]);
+            const totalCount = Object.values(frequencies).reduce((acc, count) => acc + count, 0);
+            return Object.fromEntries(Object.entries(frequencies).map(([value, count]) => [value, count / totalCount]));
+        }
+
+        const groups = new Map<string, { entries: typeof entries; totalCount: number }>();
+        for (const entry of entries) {
+            const parentValue = entry.parentValues[depth];
+            if (!groups.has(parentValue)) groups.set(parentValue, { entries: [], totalCount: 0 });
+            const group = groups.get(parentValue)!;
+            group.entries.push(entry);
+            group.totalCount += entry.totalCount;
+        }
+
+        const probabilities = { deeper: {} } as any;
+        for (const possibleValue of possibleParentValues[this.parentNames[depth]]) {
+            const group = groups.get(String(possibleValue));
+            if (group && group.totalCount >= minCount) {
+                probabilities.deeper[possibleValue] = this.recursivelyCalculateConditionalProbabilitiesAccordingToCounts(
+                    group.entries,
                     possibleParentValues,
                     depth + 1,
+                    pseudoCounts,
+                    minCount,
+                );
+            } else if (!probabilities.skip) {
+                probabilities.skip = this.recursivelyCalculateConditionalProbabilitiesAccordingToCounts(
+                    entries,
+                    possibleParentValues,
+                    depth + 1,
+                    pseudoCounts,
+                    minCount,
                 );
-
-                if (!skip) {
-                    probabilities.deeper[possibleValue] = nextLevel;
-                } else {
-                    probabilities.skip = nextLevel;
-                }
             }
-        } else {
-            probabilities = getRelativeFrequencies(data, this.name);
         }
 
         return probabilities;
@@ -1,2 +1,39 @@
-export { BayesianNetwork } from './bayesian-network';
+export { BayesianNetwork, BayesianNetworkOptions } from './bayesian-network';
+export { ProbabilityEstimationOptions } from './bayesian-node';
+export {
+    clearNetworkDefinitionCache,
+    NetworkDefinition,
+    NetworkDefinitionFormat,
+    parseNetworkDefinition,
+    readNetworkDefinition,
+    serializeNetworkDefinition,
+} from './network-io';
+export {
+    compareNetworks,
+    formatNetworkDiff,
+    NetworkDiff,
+    NetworkDiffOptions,
+    NodeDiff,
+} from './network-diff';
+export {
+    NETWORK_DEFINITION_SCHEMA,
+    NetworkExportOptions,
+    parseBif,
+    parseXmlBif,
+    toBif,
+    toXmlBif,
+} from './network-formats';
+export {
+    compressNetwork,
+    NetworkCompressionOptions,
+    NetworkCompressionReport,
+} from './network-compression';
+export {
+    learnNetworkStructure,
+    saveNetworkStructure,
+    NetworkStructure,
+    NodeStructure,
+    StructureLearningOptions,
+} from './structure-learning';
+export { ValueConstraint, ValueConstraints } from './utils';
 export * as utils from './utils';
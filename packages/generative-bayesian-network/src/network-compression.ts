@@ -0,0 +1,214 @@
+import { BayesianNetwork } from './bayesian-network';
+import { NodeDefinition, SHARED_SUBTREE_KEY } from './bayesian-node';
+import { compareNetworks } from './network-diff';
+import { NetworkDefinition, NetworkDefinitionFormat, serializeNetworkDefinition } from './network-io';
+
+/**
+ * Options for the `compressNetwork` function.
+ */
+export interface NetworkCompressionOptions {
+    /**
+     * Values with a lower conditional probability are dropped from the distributions, which are then renormalized.
+     * The most probable value of every distribution is always kept. Default value is 0 (no pruning).
+     */
+    threshold?: number;
+    /**
+     * Number of significant digits the probabilities are rounded to. The rounded probabilities
+     * don't have to sum up exactly to one. By default, the probabilities are not rounded.
+     */
+    precision?: number;
+    /**
+     * Whether the repeated subtrees of the conditional probability trees should be stored only once. Default value is true.
+     */
+    deduplicate?: boolean;
+    /**
+     * Format used to measure the size of the definitions in the report. Default value is `zip`.
+     */
+    format?: NetworkDefinitionFormat;
+}
+
+/**
+ * Size and fidelity report of the network compression.
+ */
+export interface NetworkCompressionReport {
+    /**
+     * Size of the original definition in bytes.
+     */
+    originalSize: number;
+    /**
+     * Size of the compressed definition in bytes.
+     */
+    size: number;
+    /**
+     * Per-node statistics, including the KL divergence (in bits) of the compressed marginal distribution from the original one.
+     */
+    nodes: { name: string; originalValueCount: number; valueCount: number; sharedSubtreeCount: number; klDivergence: number }[];
+}
+
+/**
+ * Repeated subtrees shorter than this (in characters of JSON) are not worth replacing with a reference.
+ */
+const MIN_SHARED_SUBTREE_LENGTH = 64;
+
+/**
+ * Prunes and quantizes a single distribution (a leaf of the conditional probability tree).
+ * @param distribution Probabilities of the values.
+ * @param threshold Minimal probability of a kept value.
+ * @param precision Number of significant digits of the probabilities.
+ */
+function compressDistribution(distribution: Record<string, number>, threshold: number, precision?: number) {
+    const entries = Object.entries(distribution);
+    const maxProbability = Math.max(...entries.map(([, probability]) => probability));
+    let kept = entries.filter(([, probability]) => probability >= threshold || probability === maxProbability);
+
+    const total = kept.reduce((acc, [, probability]) => acc + probability, 0);
+    kept = kept.map(([value, probability]) => [value, probability / total]);
+    if (precision !== undefined) {
+        kept = kept
+            .map(([value, probability]): [string, number] => [value, Number(probability.toPrecision(precision))])
+            .filter(([, probability]) => probability > 0);
+    }
+
+    return Object.fromEntries(kept);
+}
+
+/**
+ * Recursively prunes and quantizes the conditional probability tree, dropping the branches of the removed parent values.
+ * @param tree Conditional probability tree (or its subtree).
+ * @param parentNames Names of the parents of the node, starting with the parent on the current depth.
+ * @param values Remaining values of the nodes.
+ * @param options Compression options.
+ */
+function compressTree(
+    tree: any,
+    parentNames: string[],
+    values: Record<string, Set<string>>,
+    options: { threshold: number; precision?: number },
+): any {
+    if (parentNames.length === 0) return compressDistribution(tree, options.threshold, options.precision);
+
+    const compressed: any = { deeper: {} };
+    for (const [parentValue, subtree] of Object.entries(tree.deeper)) {
+        if (values[parentNames[0]].has(parentValue)) {
+            compressed.deeper[parentValue] = compressTree(subtree, parentNames.slice(1), values, options);
+        }
+    }
+    if (tree.skip) compressed.skip = compressTree(tree.skip, parentNames.slice(1), values, options);
+    return compressed;
+}
+
+/**
+ * Collects the values present in the distributions of the conditional probability tree.
+ * @param tree Conditional probability tree (or its subtree).
+ * @param depth Number of the parent levels below the current subtree.
+ * @param values Set the values are collected to.
+ */
+function collectValues(tree: any, depth: number, values = new Set<string>()) {
+    if (depth === 0) {
+        for (const value of Object.keys(tree)) values.add(value);
+    } else {
+        for (const subtree of Object.values(tree.deeper)) collectValues(subtree, depth - 1, values);
+        if (tree.skip) collectValues(tree.skip, depth - 1, values);
+    }
+    return values;
+}
+
+/**
+ * Replaces the repeated subtrees of the conditional probability tree with references to a list of shared subtrees.
+ * @param tree Conditional probability tree.
+ * @param depth Number of the parents of the node.
+ */
+function deduplicateTree(tree: any, depth: number) {
+    const counts = new Map<string, number>();
+    const countSubtrees = (subtree: any, subtreeDepth: number): string => {
+        const key = JSON.stringify(subtree);
+        counts.set(key, (counts.get(key) ?? 0) + 1);
+        if (subtreeDepth > 0) {
+            for (const child of Object.values(subtree.deeper)) countSubtrees(child, subtreeDepth - 1);
+            if (subtree.skip) countSubtrees(subtree.skip, subtreeDepth - 1);
+        }
+        return key;
+    };
+    const rootKey = countSubtrees(tree, depth);
+
+    const sharedSubtrees: any[] = [];
+    const sharedIndices = new Map<string, number>();
+    const replaceSubtrees = (subtree: any, subtreeDepth: number): any => {
+        const key = JSON.stringify(subtree);
+        const isShared = key !== rootKey && counts.get(key)! > 1 && key.length >= MIN_SHARED_SUBTREE_LENGTH;
+        if (isShared && sharedIndices.has(key)) return { [SHARED_SUBTREE_KEY]: sharedIndices.get(key) };
+
+        let replaced = subtree;
+        if (subtreeDepth > 0) {
+            replaced = { deeper: {} };
+            for (const [value, child] of Object.entries(subtree.deeper)) replaced.deeper[value] = replaceSubtrees(child, subtreeDepth - 1);
+            if (subtree.skip) replaced.skip = replaceSubtrees(subtree.skip, subtreeDepth - 1);
+        }
+
+        if (!isShared) return replaced;
+        sharedIndices.set(key, sharedSubtrees.length);
+        sharedSubtrees.push(replaced);
+        return { [SHARED_SUBTREE_KEY]: sharedIndices.get(key) };
+    };
+
+    return { conditionalProbabilities: replaceSubtrees(tree, depth), sharedSubtrees };
+}
+
+/**
+ * Creates a smaller version of the network, e.g. to be shipped in size-sensitive deployments. The rare values are dropped
+ * from the distributions, the probabilities are rounded and the repeated subtrees of the conditional probability trees
+ * are stored only once. The value counts are not kept, so the compressed network cannot be updated with new data.
+ * Returns the compressed network definition (to be saved with `serializeNetworkDefinition` or used
+ * in the `BayesianNetwork` constructor) together with a report comparing its size and marginal distributions to the original.
+ * @param network The network to be compressed.
+ * @param options Compression options.
+ */
+export function compressNetwork(network: BayesianNetwork, options: NetworkCompressionOptions = {}) {
+    const {
+        threshold = 0, precision, deduplicate = true, format = 'zip',
+    } = options;
+    const originalDefinition = network.toJSON();
+
+    const values: Record<string, Set<string>> = {};
+    const nodes: NodeDefinition[] = [];
+    const sharedSubtreeCounts: Record<string, number> = {};
+    for (const node of originalDefinition.nodes) {
+        const conditionalProbabilities = compressTree(node.conditionalProbabilities, node.parentNames, values, { threshold, precision });
+        const nodeValues = collectValues(conditionalProbabilities, node.parentNames.length);
+        values[node.name] = nodeValues;
+
+        const compressedNode: NodeDefinition = {
+            name: node.name,
+            parentNames: node.parentNames,
+            possibleValues: node.possibleValues.filter((value) => nodeValues.has(value)),
+            conditionalProbabilities,
+        };
+        if (deduplicate) {
+            const { conditionalProbabilities: deduplicated, sharedSubtrees } = deduplicateTree(conditionalProbabilities, node.parentNames.length);
+            if (sharedSubtrees.length > 0) {
+                compressedNode.conditionalProbabilities = deduplicated;
+                compressedNode.sharedSubtrees = sharedSubtrees;
+            }
+        }
+        sharedSubtreeCounts[node.name] = compressedNode.sharedSubtrees?.length ?? 0;
+        nodes.push(compressedNode);
+    }
+
+    const definition: NetworkDefinition = { nodes };
+    const originalValueCounts = Object.fromEntries(originalDefinition.nodes.map((node) => [node.name, node.possibleValues.length]));
+    const diff = compareNetworks(network, new BayesianNetwork({ definition }), { largestChanges: 0 });
+
+    const report: NetworkCompressionReport = {
+        originalSize: serializeNetworkDefinition(originalDefinition, format).length,
+        size: serializeNetworkDefinition(definition, format).length,
+        nodes: nodes.map((node) => ({
+            name: node.name,
+            originalValueCount: originalValueCounts[node.name],
+            valueCount: node.possibleValues.length,
+            sharedSubtreeCount: sharedSubtreeCounts[node.name],
+            klDivergence: diff.nodes.find((nodeDiff) => nodeDiff.name === node.name)!.klDivergence,
+        })),
+    };
+
+    return { definition, report };
+}
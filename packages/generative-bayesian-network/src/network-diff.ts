@@ -0,0 +1,226 @@
+import type { BayesianNetwork } from './bayesian-network';
+import type { NodeDefinition } from './bayesian-node';
+
+/**
+ * Differences of a single node present in both of the compared networks.
+ */
+export interface NodeDiff {
+    name: string;
+    /**
+     * Parents of the node before the change, only present if they have changed.
+     */
+    previousParentNames?: string[];
+    /**
+     * Parents of the node after the change, only present if they have changed.
+     */
+    parentNames?: string[];
+    /**
+     * Possible values of the node that are new in the updated network.
+     */
+    addedValues: string[];
+    /**
+     * Possible values of the node that are not present in the updated network anymore.
+     */
+    removedValues: string[];
+    /**
+     * Kullback-Leibler divergence (in bits) of the marginal distribution of the node in the updated network
+     * from its marginal distribution in the original network.
+     */
+    klDivergence: number;
+    /**
+     * Values whose marginal probability changed the most, sorted by the absolute change.
+     */
+    largestChanges: { value: string; previousProbability: number; probability: number }[];
+}
+
+/**
+ * Report of the differences between two network definitions.
+ */
+export interface NetworkDiff {
+    addedNodes: string[];
+    removedNodes: string[];
+    /**
+     * Nodes present in both networks, sorted by the KL divergence of their marginal distributions (largest first).
+     */
+    nodes: NodeDiff[];
+}
+
+/**
+ * Options for the `compareNetworks` function.
+ */
+export interface NetworkDiffOptions {
+    /**
+     * Number of values with the largest change of the marginal probability reported for every node. Default value is 5.
+     */
+    largestChanges?: number;
+    /**
+     * Probability the values missing in the original network are smoothed to when calculating the KL divergence,
+     * so the divergence stays finite when new values appear. Default value is 1e-6.
+     */
+    epsilon?: number;
+    /**
+     * The marginal distributions of the nodes whose ancestors have at most this many combinations of values are calculated exactly,
+     * the others are approximated (see `getMarginalDistributions`). Default value is 10000.
+     */
+    maxExactStates?: number;
+}
+
+/**
+ * Calculates the Kullback-Leibler divergence (in bits) of the distribution `p` from the distribution `q`.
+ * @param p Updated distribution.
+ * @param q Original distribution.
+ * @param epsilon Probability used for the values missing in `q`.
+ */
+function klDivergence(p: Record<string, number>, q: Record<string, number>, epsilon: number) {
+    let divergence = 0;
+    for (const [value, probability] of Object.entries(p)) {
+        if (probability > 0) {
+            divergence += probability * Math.log2(probability / Math.max(q[value] ?? 0, epsilon));
+        }
+    }
+    return Math.max(divergence, 0);
+}
+
+/**
+ * Adds the marginal distribution of a node, approximated from the marginal distributions of its parents
+ * as if they were independent, to the result.
+ * @param tree (Sub)tree of the conditional probabilities of the node.
+ * @param parentMarginals Marginal distributions of the parents not yet resolved in the tree.
+ * @param weight Probability of the parent values leading to the tree.
+ * @param result Marginal distribution of the node.
+ */
+function addApproximateMarginal(tree: any, parentMarginals: Record<string, number>[], weight: number, result: Record<string, number>) {
+    if (parentMarginals.length === 0) {
+        for (const [value, probability] of Object.entries<number>(tree)) {
+            result[value] = (result[value] ?? 0) + weight * probability;
+        }
+        return;
+    }
+
+    const [parentMarginal, ...otherParentMarginals] = parentMarginals;
+    let skippedProbability = 0;
+    for (const [value, probability] of Object.entries(parentMarginal)) {
+        if (tree.deeper?.[value]) {
+            addApproximateMarginal(tree.deeper[value], otherParentMarginals, weight * probability, result);
+        } else {
+            skippedProbability += probability;
+        }
+    }
+    if (tree.skip && skippedProbability > 0) addApproximateMarginal(tree.skip, otherParentMarginals, weight * skippedProbability, result);
+}
+
+/**
+ * Calculates the marginal distributions of all nodes of the network. The exact calculation enumerates the combinations
+ * of the values of the node's ancestors, which takes too much time and memory for the large generator networks,
+ * so the distributions of the nodes with more than `maxExactStates` such combinations are approximated by propagating
+ * the distributions of the parents as if they were independent (which is exact in networks without undirected cycles).
+ * @param network The network.
+ * @param maxExactStates Maximum number of the combinations of the ancestors' values for the exact calculation.
+ */
+function getMarginalDistributions(network: BayesianNetwork, maxExactStates: number): Record<string, Record<string, number>> {
+    const marginals: Record<string, Record<string, number>> = {};
+    const ancestors: Record<string, Set<string>> = {};
+    const nodesByName: Record<string, NodeDefinition> = {};
+
+    // The nodes are listed in the sampling order, so the parents always precede their children.
+    for (const node of network.toJSON().nodes) {
+        nodesByName[node.name] = node;
+        ancestors[node.name] = new Set(node.parentNames.flatMap((parentName) => [parentName, ...ancestors[parentName]]));
+        const logStates = [...ancestors[node.name]].reduce((acc, name) => acc + Math.log(nodesByName[name].possibleValues.length), 0);
+
+        if (logStates <= Math.log(maxExactStates)) {
+            marginals[node.name] = network.getMarginalDistribution(node.name);
+            continue;
+        }
+
+        const marginal: Record<string, number> = {};
+        addApproximateMarginal(node.conditionalProbabilities, node.parentNames.map((parentName) => marginals[parentName]), 1, marginal);
+        const totalProbability = Object.values(marginal).reduce((acc, probability) => acc + probability, 0);
+        for (const value of Object.keys(marginal)) marginal[value] /= totalProbability;
+        marginals[node.name] = marginal;
+    }
+
+    return marginals;
+}
+
+/**
+ * Compares two versions of a network node by node, e.g. to review the changes before replacing a model with its updated version.
+ * The marginal distributions of the nodes with many ancestors are approximated, so comparing even the large generator networks
+ * takes about a second.
+ * @param previousNetwork The original network.
+ * @param network The updated network.
+ * @param options Diff options.
+ */
+export function compareNetworks(previousNetwork: BayesianNetwork, network: BayesianNetwork, options: NetworkDiffOptions = {}): NetworkDiff {
+    const { largestChanges = 5, epsilon = 1e-6, maxExactStates = 10000 } = options;
+    const previousMarginals = getMarginalDistributions(previousNetwork, maxExactStates);
+    const marginals = getMarginalDistributions(network, maxExactStates);
+    const previousNodes = new Map(previousNetwork.toJSON().nodes.map((node) => [node.name, node]));
+    const nodes = new Map(network.toJSON().nodes.map((node) => [node.name, node]));
+
+    const nodeDiffs: NodeDiff[] = [];
+    for (const [name, node] of nodes) {
+        const previousNode = previousNodes.get(name);
+        if (!previousNode) continue;
+
+        const previousValues = new Set(previousNode.possibleValues);
+        const values = new Set(node.possibleValues);
+        const previousMarginal = previousMarginals[name];
+        const marginal = marginals[name];
+
+        const changes = [...new Set([...Object.keys(previousMarginal), ...Object.keys(marginal)])]
+            .map((value) => ({ value, previousProbability: previousMarginal[value] ?? 0, probability: marginal[value] ?? 0 }))
+            .sort((a, b) => Math.abs(b.probability - b.previousProbability) - Math.abs(a.probability - a.previousProbability));
+
+        const parentsChanged = JSON.stringify(previousNode.parentNames) !== JSON.stringify(node.parentNames);
+        nodeDiffs.push({
+            name,
+            ...parentsChanged ? { previousParentNames: previousNode.parentNames, parentNames: node.parentNames } : {},
+            addedValues: node.possibleValues.filter((value) => !previousValues.has(value)),
+            removedValues: previousNode.possibleValues.filter((value) => !values.has(value)),
+            klDivergence: klDivergence(marginal, previousMarginal, epsilon),
+            largestChanges: changes.slice(0, largestChanges).filter((change) => change.probability !== change.previousProbability),
+        });
+    }
+
+    return {
+        addedNodes: [...nodes.keys()].filter((name) => !previousNodes.has(name)),
+        removedNodes: [...previousNodes.keys()].filter((name) => !nodes.has(name)),
+        nodes: nodeDiffs.sort((a, b) => b.klDivergence - a.klDivergence),
+    };
+}
+
+/**
+ * Formats the network diff as a human-readable (markdown) report.
+ * @param diff Output of `compareNetworks`.
+ * @param maxValues Maximum number of added or removed values listed for a single node.
+ */
+export function formatNetworkDiff(diff: NetworkDiff, { maxValues = 10 }: { maxValues?: number } = {}): string {
+    const formatValues = (values: string[]) => (values.length === 0 ? 'none' : [
+        ...values.slice(0, maxValues).map((value) => `\`${value}\``),
+        ...values.length > maxValues ? [`and ${values.length - maxValues} more`] : [],
+    ].join(', '));
+    const formatProbability = (probability: number) => `${(probability * 100).toFixed(2)}%`;
+
+    const lines: string[] = [];
+    if (diff.addedNodes.length > 0) lines.push(`- Added nodes: ${formatValues(diff.addedNodes)}`);
+    if (diff.removedNodes.length > 0) lines.push(`- Removed nodes: ${formatValues(diff.removedNodes)}`);
+
+    for (const node of diff.nodes) {
+        const isChanged = node.parentNames || node.addedValues.length > 0 || node.removedValues.length > 0 || node.largestChanges.length > 0;
+        if (!isChanged) continue;
+
+        lines.push('', `### ${node.name}`, `- KL divergence of the marginal distribution: ${node.klDivergence.toFixed(4)} bits`);
+        if (node.parentNames) {
+            lines.push(`- Parents changed from ${formatValues(node.previousParentNames!)} to ${formatValues(node.parentNames)}`);
+        }
+        if (node.addedValues.length > 0) lines.push(`- Added values (${node.addedValues.length}): ${formatValues(node.addedValues)}`);
+        if (node.removedValues.length > 0) lines.push(`- Removed values (${node.removedValues.length}): ${formatValues(node.removedValues)}`);
+        if (node.largestChanges.length > 0) lines.push('- Largest changes of the marginal probabilities:');
+        for (const { value, previousProbability, probability } of node.largestChanges) {
+            lines.push(`    - \`${value}\`: ${formatProbability(previousProbability)} -> ${formatProbability(probability)}`);
+        }
+    }
+
+    return lines.length > 0 ? lines.join('\n').trim() : 'No differences found.';
+}
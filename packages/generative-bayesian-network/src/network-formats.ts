@@ -0,0 +1,570 @@
+import type { BayesianNetwork } from './bayesian-network';
+import { NodeDefinition, SHARED_SUBTREE_KEY } from './bayesian-node';
+import type { NetworkDefinition } from './network-io';
+
+/**
+ * JSON Schema of the network definitions (the JSON files inside the zip archives), e.g. to validate
+ * the definitions edited outside of this package.
+ */
+export const NETWORK_DEFINITION_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Bayesian network definition',
+    type: 'object',
+    required: ['nodes'],
+    properties: {
+        nodes: {
+            description: 'Nodes of the network in the sampling order, i.e. every node is preceded by its parents.',
+            type: 'array',
+            items: { $ref: '#/$defs/node' },
+        },
+    },
+    $defs: {
+        node: {
+            type: 'object',
+            required: ['name', 'parentNames', 'possibleValues', 'conditionalProbabilities'],
+            properties: {
+                name: { type: 'string' },
+                parentNames: {
+                    description: 'Names of the parent nodes, in the order of the levels of the conditional probability tree.',
+                    type: 'array',
+                    items: { type: 'string' },
+                },
+                possibleValues: { type: 'array', items: { type: 'string' } },
+                conditionalProbabilities: {
+                    description: 'Conditional probability tree with one level per parent, or the distribution itself for nodes without parents.',
+                    $ref: '#/$defs/probabilityTree',
+                },
+                conditionalCounts: {
+                    description: 'Observed value counts, indexed by the JSON-encoded array of the parent values.',
+                    type: 'object',
+                    additionalProperties: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } },
+                },
+                estimationOptions: {
+                    type: 'object',
+                    properties: {
+                        alpha: { type: 'number', minimum: 0 },
+                        prior: { enum: ['uniform', 'marginal'] },
+                        minCount: { type: 'number', minimum: 0 },
+                    },
+                },
+                sharedSubtrees: {
+                    description: `Subtrees referenced from the conditional probability tree by \`{ "${SHARED_SUBTREE_KEY}": index }\` objects.`,
+                    type: 'array',
+                    items: { $ref: '#/$defs/probabilityTree' },
+                },
+            },
+        },
+        probabilityTree: {
+            anyOf: [
+                {
+                    description: 'Level of the tree branching on the value of a parent. '
+                        + 'The `skip` branch is used for the parent values missing in `deeper`.',
+                    type: 'object',
+                    required: ['deeper'],
+                    properties: {
+                        deeper: { type: 'object', additionalProperties: { $ref: '#/$defs/probabilityTree' } },
+                        skip: { $ref: '#/$defs/probabilityTree' },
+                    },
+                    additionalProperties: false,
+                },
+                {
+                    description: 'Reference to a shared subtree.',
+                    type: 'object',
+                    required: [SHARED_SUBTREE_KEY],
+                    properties: { [SHARED_SUBTREE_KEY]: { type: 'integer', minimum: 0 } },
+                    additionalProperties: false,
+                },
+                {
+                    description: 'Probability distribution of the node values, the values missing here have zero probability.',
+                    type: 'object',
+                    additionalProperties: { type: 'number', minimum: 0, maximum: 1 },
+                },
+            ],
+        },
+    },
+};
+
+/**
+ * Options for exporting the networks to the standard formats.
+ */
+export interface NetworkExportOptions {
+    /**
+     * Name of the network in the exported file. Default value is `network`.
+     */
+    name?: string;
+    /**
+     * Maximum number of probabilities in all the conditional probability tables together, 1 million by default.
+     * The tables list every combination of the parent values, so the networks with many parent values (like the header
+     * and fingerprint generator networks, with over 10 million probabilities each) throw an error instead of running out of memory.
+     */
+    maxTableSize?: number;
+}
+
+/**
+ * Throws if the conditional probability tables of the network would contain more probabilities than the limit.
+ * @param nodes Nodes of the network.
+ * @param maxTableSize Maximum number of probabilities in all the tables together.
+ */
+function checkTableSize(nodes: NodeDefinition[], maxTableSize: number) {
+    const cardinalities = Object.fromEntries(nodes.map((node) => [node.name, node.possibleValues.length]));
+    let tableSize = 0;
+    for (const node of nodes) {
+        const nodeTableSize = node.parentNames.reduce((acc, parentName) => acc * cardinalities[parentName], node.possibleValues.length);
+        tableSize += nodeTableSize;
+        if (tableSize > maxTableSize) {
+            throw new Error(`The conditional probability tables have more than ${maxTableSize} probabilities (${nodeTableSize} for the node `
+                + `"${node.name}" alone). Raise the maxTableSize option or use the network definition format, which stores the tables as trees.`);
+        }
+    }
+}
+
+/**
+ * Calls the callback for every combination of the parent values (the last parent changing fastest)
+ * with the conditional distribution of the node, or `undefined` if there is none.
+ * @param tree Conditional probability tree (or its subtree).
+ * @param parentValueLists Possible values of the parents on the remaining levels of the tree.
+ * @param callback Function called for every combination of the parent values.
+ * @param parentValues Parent values on the levels above the current subtree.
+ */
+function forEachDistribution(
+    tree: any,
+    parentValueLists: string[][],
+    callback: (parentValues: string[], distribution?: Record<string, number>) => void,
+    parentValues: string[] = [],
+) {
+    if (parentValueLists.length === 0) {
+        callback(parentValues, tree);
+        return;
+    }
+    for (const value of parentValueLists[0]) {
+        const subtree = tree && (tree.deeper[value] ?? tree.skip);
+        forEachDistribution(subtree, parentValueLists.slice(1), callback, [...parentValues, value]);
+    }
+}
+
+/**
+ * Creates the conditional probability tree from the distributions given for the individual combinations of the parent values.
+ * The zero probabilities are left out, as in the trees estimated from data.
+ * @param parentCount Number of the parents of the node.
+ * @param rows Distributions for the combinations of the parent values.
+ * @param defaultDistribution Distribution used for the combinations missing in `rows`.
+ */
+function createProbabilityTree(
+    parentCount: number,
+    rows: { parentValues: string[]; distribution: Record<string, number> }[],
+    defaultDistribution?: Record<string, number>,
+) {
+    const removeZeros = (distribution: Record<string, number>) => Object.fromEntries(
+        Object.entries(distribution).filter(([, probability]) => probability > 0),
+    );
+    const isEmpty = (distribution: Record<string, number>) => Object.keys(distribution).length === 0;
+
+    if (parentCount === 0) return removeZeros(rows[0]?.distribution ?? defaultDistribution ?? {});
+
+    const tree: any = { deeper: {} };
+    for (const { parentValues, distribution } of rows) {
+        const leaf = removeZeros(distribution);
+        if (isEmpty(leaf)) continue;
+
+        let subtree = tree;
+        for (const value of parentValues.slice(0, -1)) {
+            subtree.deeper[value] ??= { deeper: {} };
+            subtree = subtree.deeper[value];
+        }
+        subtree.deeper[parentValues[parentValues.length - 1]] = leaf;
+    }
+
+    const defaultLeaf = defaultDistribution && removeZeros(defaultDistribution);
+    if (defaultLeaf && !isEmpty(defaultLeaf)) {
+        // Every level needs its own skip branch, leading to the default distribution on the remaining levels.
+        const createSkipBranch = (depth: number): any => (depth === parentCount ? defaultLeaf : { deeper: {}, skip: createSkipBranch(depth + 1) });
+        const addSkipBranches = (subtree: any, depth: number) => {
+            if (depth === parentCount) return;
+            for (const child of Object.values(subtree.deeper)) addSkipBranches(child, depth + 1);
+            subtree.skip = createSkipBranch(depth + 1);
+        };
+        addSkipBranches(tree, 0);
+    }
+
+    return tree;
+}
+
+/**
+ * Orders the nodes so that every node is preceded by its parents, as required by the network definition.
+ * @param nodes Nodes in any order.
+ */
+function sortNodes(nodes: NodeDefinition[]): NodeDefinition[] {
+    const nodesByName = new Map(nodes.map((node) => [node.name, node]));
+    const sortedNodes: NodeDefinition[] = [];
+    const states = new Map<string, 'visiting' | 'visited'>();
+
+    const visit = (node: NodeDefinition) => {
+        if (states.get(node.name) === 'visited') return;
+        if (states.get(node.name) === 'visiting') throw new Error(`The network contains a cycle through the node "${node.name}".`);
+
+        states.set(node.name, 'visiting');
+        for (const parentName of node.parentNames) {
+            const parent = nodesByName.get(parentName);
+            if (!parent) throw new Error(`The parent "${parentName}" of the node "${node.name}" is not defined.`);
+            visit(parent);
+        }
+        states.set(node.name, 'visited');
+        sortedNodes.push(node);
+    };
+
+    nodes.forEach(visit);
+    return sortedNodes;
+}
+
+/**
+ * Creates the distribution of the node values from the list of their probabilities.
+ * @param node Name and possible values of the node.
+ * @param probabilities Probabilities in the order of the possible values.
+ */
+function toDistribution(node: { name: string; possibleValues: string[] }, probabilities: number[]) {
+    if (probabilities.length !== node.possibleValues.length || probabilities.some((probability) => Number.isNaN(probability))) {
+        throw new Error(`Expected ${node.possibleValues.length} probabilities of the values of "${node.name}", got "${probabilities.join(', ')}".`);
+    }
+    return Object.fromEntries(node.possibleValues.map((value, i) => [value, probabilities[i]]));
+}
+
+/**
+ * Formats a name or a value as a BIF word, quoting it if it contains any other characters than letters, digits, `_`, `-` and `.`.
+ * @param word Name or value.
+ */
+function formatBifWord(word: string) {
+    return /^[\w.-]+$/.test(word) ? word : `"${word.replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Exports the network in the BIF (Bayesian Interchange Format) text format, supported e.g. by bnlearn or pgmpy.
+ * Names and values containing other characters than letters, digits, `_`, `-` and `.` are quoted (escaping `"` and `\`
+ * with a backslash), which not all the tools support - use XMLBIF for those.
+ * The conditional probability tables list only the combinations of the parent values with a defined distribution.
+ * @param network The network to be exported.
+ * @param options Export options.
+ */
+export function toBif(network: BayesianNetwork, { name = 'network', maxTableSize = 1e6 }: NetworkExportOptions = {}): string {
+    const { nodes } = network.toJSON();
+    checkTableSize(nodes, maxTableSize);
+    const possibleValues = Object.fromEntries(nodes.map((node) => [node.name, node.possibleValues]));
+    const lines = [`network ${formatBifWord(name)} {`, '}'];
+
+    for (const node of nodes) {
+        lines.push(
+            `variable ${formatBifWord(node.name)} {`,
+            `    type discrete [ ${node.possibleValues.length} ] { ${node.possibleValues.map(formatBifWord).join(', ')} };`,
+            '}',
+        );
+    }
+
+    for (const node of nodes) {
+        const formatDistribution = (distribution: Record<string, number>) => node.possibleValues
+            .map((value) => distribution[value] ?? 0)
+            .join(', ');
+
+        if (node.parentNames.length === 0) {
+            lines.push(
+                `probability ( ${formatBifWord(node.name)} ) {`,
+                `    table ${formatDistribution(node.conditionalProbabilities)};`,
+                '}',
+            );
+            continue;
+        }
+
+        lines.push(`probability ( ${formatBifWord(node.name)} | ${node.parentNames.map(formatBifWord).join(', ')} ) {`);
+        forEachDistribution(
+            node.conditionalProbabilities,
+            node.parentNames.map((parentName) => possibleValues[parentName]),
+            (parentValues, distribution) => {
+                if (!distribution) return;
+                lines.push(`    (${parentValues.map(formatBifWord).join(', ')}) ${formatDistribution(distribution)};`);
+            },
+        );
+        lines.push('}');
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Splits the BIF file into words (quoted or not) and punctuation, leaving out the whitespace and comments.
+ * @param bif Contents of the BIF file.
+ */
+function tokenizeBif(bif: string) {
+    const tokens: { value: string; isWord: boolean }[] = [];
+    const pattern = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|"((?:[^"\\]|\\.)*)"|([{}()[\]|,;])|([^\s{}()[\]|,;"]+)/y;
+
+    while (pattern.lastIndex < bif.length) {
+        const position = pattern.lastIndex;
+        const match = pattern.exec(bif);
+        if (!match) throw new Error(`Unexpected character "${bif[position]}" at position ${position} of the BIF file.`);
+
+        const [, quoted, punctuation, word] = match;
+        if (quoted !== undefined) tokens.push({ value: quoted.replace(/\\(.)/g, '$1'), isWord: true });
+        else if (punctuation !== undefined) tokens.push({ value: punctuation, isWord: false });
+        else if (word !== undefined) tokens.push({ value: word, isWord: true });
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses the network definition from a BIF (Bayesian Interchange Format) file with discrete variables.
+ * Conditional probability tables with parents have to be given row by row (optionally with a `default` row),
+ * a `table` is only supported for the variables without parents. Properties are ignored.
+ * @param bif Contents of the BIF file.
+ */
+export function parseBif(bif: string): NetworkDefinition {
+    const tokens = tokenizeBif(bif);
+    let position = 0;
+
+    const next = () => {
+        if (position >= tokens.length) throw new Error('Unexpected end of the BIF file.');
+        return tokens[position++];
+    };
+    const expect = (punctuation: string) => {
+        const token = next();
+        if (token.isWord || token.value !== punctuation) throw new Error(`Expected "${punctuation}" in the BIF file, got "${token.value}".`);
+    };
+    const peek = (punctuation: string) => position < tokens.length && !tokens[position].isWord && tokens[position].value === punctuation;
+    const readWord = () => {
+        const token = next();
+        if (!token.isWord) throw new Error(`Expected a name or a value in the BIF file, got "${token.value}".`);
+        return token.value;
+    };
+    const readList = (terminator: string) => {
+        const words = [];
+        while (!peek(terminator)) {
+            words.push(readWord());
+            if (!peek(terminator)) expect(',');
+        }
+        expect(terminator);
+        return words;
+    };
+    const skipBlock = () => {
+        expect('{');
+        for (let depth = 1; depth > 0;) {
+            const token = next();
+            if (!token.isWord && token.value === '{') depth++;
+            if (!token.isWord && token.value === '}') depth--;
+        }
+    };
+    const skipStatement = () => {
+        while (next().value !== ';');
+    };
+
+    const variables = new Map<string, string[]>();
+    const probabilities = new Map<string, {
+        parentNames: string[];
+        rows: { parentValues: string[]; probabilities: number[] }[];
+        defaultProbabilities?: number[];
+    }>();
+    type Probability = typeof probabilities extends Map<string, infer T> ? T : never;
+
+    while (position < tokens.length) {
+        const keyword = readWord();
+        if (keyword === 'network') {
+            readWord();
+            skipBlock();
+        } else if (keyword === 'variable') {
+            const name = readWord();
+            expect('{');
+            while (!peek('}')) {
+                if (readWord() !== 'type') {
+                    skipStatement();
+                    continue;
+                }
+                if (readWord() !== 'discrete') throw new Error(`Only discrete variables are supported, "${name}" is not discrete.`);
+                expect('[');
+                readWord();
+                expect(']');
+                expect('{');
+                variables.set(name, readList('}'));
+                expect(';');
+            }
+            expect('}');
+        } else if (keyword === 'probability') {
+            expect('(');
+            const name = readWord();
+            let parentNames: string[] = [];
+            if (peek('|')) {
+                next();
+                parentNames = readList(')');
+            } else {
+                expect(')');
+            }
+            const probability: Probability = { parentNames, rows: [] };
+            expect('{');
+            while (!peek('}')) {
+                if (peek('(')) {
+                    next();
+                    const parentValues = readList(')');
+                    probability.rows.push({ parentValues, probabilities: readList(';').map(Number) });
+                    continue;
+                }
+
+                const entryKeyword = readWord();
+                if (entryKeyword === 'default') {
+                    probability.defaultProbabilities = readList(';').map(Number);
+                } else if (entryKeyword === 'table') {
+                    if (parentNames.length > 0) {
+                        throw new Error(`Tables of variables with parents are not supported, use rows for "${name}".`);
+                    }
+                    probability.rows.push({ parentValues: [], probabilities: readList(';').map(Number) });
+                } else {
+                    skipStatement();
+                }
+            }
+            expect('}');
+            probabilities.set(name, probability);
+        } else {
+            throw new Error(`Unexpected "${keyword}" in the BIF file.`);
+        }
+    }
+
+    const nodes = [...variables].map(([name, possibleValues]): NodeDefinition => {
+        const probability = probabilities.get(name);
+        if (!probability) throw new Error(`The probability of the variable "${name}" is not defined.`);
+        const node = { name, possibleValues };
+
+        return {
+            name,
+            parentNames: probability.parentNames,
+            possibleValues,
+            conditionalProbabilities: createProbabilityTree(
+                probability.parentNames.length,
+                probability.rows.map((row) => ({ parentValues: row.parentValues, distribution: toDistribution(node, row.probabilities) })),
+                probability.defaultProbabilities && toDistribution(node, probability.defaultProbabilities),
+            ),
+        };
+    });
+
+    return { nodes: sortNodes(nodes) };
+}
+
+/**
+ * Escapes the special characters of XML text.
+ * @param text Text to be escaped.
+ */
+function escapeXml(text: string) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Replaces the XML entities with the characters they stand for.
+ * @param text Escaped XML text.
+ */
+function unescapeXml(text: string) {
+    const entities: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name: string) => {
+        if (name.startsWith('#x') || name.startsWith('#X')) return String.fromCodePoint(parseInt(name.slice(2), 16));
+        if (name.startsWith('#')) return String.fromCodePoint(parseInt(name.slice(1), 10));
+        return entities[name] ?? entity;
+    });
+}
+
+/**
+ * Exports the network in the XMLBIF 0.3 format, supported e.g. by pgmpy, Weka or SamIam.
+ * The definition tables are full, so their size is the product of the numbers of the values of the node and its parents.
+ * The combinations of the parent values without a defined distribution have all the probabilities set to zero.
+ * @param network The network to be exported.
+ * @param options Export options.
+ */
+export function toXmlBif(network: BayesianNetwork, { name = 'network', maxTableSize = 1e6 }: NetworkExportOptions = {}): string {
+    const { nodes } = network.toJSON();
+    checkTableSize(nodes, maxTableSize);
+    const possibleValues = Object.fromEntries(nodes.map((node) => [node.name, node.possibleValues]));
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<BIF VERSION="0.3">',
+        '<NETWORK>',
+        `<NAME>${escapeXml(name)}</NAME>`,
+    ];
+
+    for (const node of nodes) {
+        lines.push(
+            '<VARIABLE TYPE="nature">',
+            `    <NAME>${escapeXml(node.name)}</NAME>`,
+            ...node.possibleValues.map((value) => `    <OUTCOME>${escapeXml(value)}</OUTCOME>`),
+            '</VARIABLE>',
+        );
+    }
+
+    for (const node of nodes) {
+        const table: string[] = [];
+        forEachDistribution(
+            node.conditionalProbabilities,
+            node.parentNames.map((parentName) => possibleValues[parentName]),
+            (_parentValues, distribution = {}) => {
+                table.push(node.possibleValues.map((value) => distribution[value] ?? 0).join(' '));
+            },
+        );
+        lines.push(
+            '<DEFINITION>',
+            `    <FOR>${escapeXml(node.name)}</FOR>`,
+            ...node.parentNames.map((parentName) => `    <GIVEN>${escapeXml(parentName)}</GIVEN>`),
+            `    <TABLE>${table.join(' ')}</TABLE>`,
+            '</DEFINITION>',
+        );
+    }
+
+    lines.push('</NETWORK>', '</BIF>');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parses the network definition from an XMLBIF file (versions 0.3 and older) with discrete variables.
+ * Properties are ignored.
+ * @param xml Contents of the XMLBIF file.
+ */
+export function parseXmlBif(xml: string): NetworkDefinition {
+    const getElements = (parent: string, tag: string) => [...parent.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g'))]
+        .map(([, content]) => unescapeXml(content.trim()));
+    const getElement = (parent: string, tag: string) => {
+        const [element] = getElements(parent, tag);
+        if (element === undefined) throw new Error(`Missing the <${tag}> element in the XMLBIF file.`);
+        return element;
+    };
+
+    const content = xml.replace(/<!--[\s\S]*?-->/g, '');
+    const variables = getElements(content, 'VARIABLE').map((variable) => ({
+        name: getElement(variable, 'NAME'),
+        possibleValues: getElements(variable, 'OUTCOME'),
+    }));
+    const definitions = [...getElements(content, 'DEFINITION'), ...getElements(content, 'PROBABILITY')].map((definition) => ({
+        name: getElement(definition, 'FOR'),
+        parentNames: getElements(definition, 'GIVEN'),
+        table: getElement(definition, 'TABLE').split(/\s+/).filter((entry) => entry !== '').map(Number),
+    }));
+    const possibleValues = Object.fromEntries(variables.map((variable) => [variable.name, variable.possibleValues]));
+
+    const nodes = variables.map((variable): NodeDefinition => {
+        const definition = definitions.find(({ name }) => name === variable.name);
+        if (!definition) throw new Error(`The probability of the variable "${variable.name}" is not defined.`);
+
+        const parentValueLists = definition.parentNames.map((parentName) => {
+            if (!possibleValues[parentName]) throw new Error(`The parent "${parentName}" of the node "${variable.name}" is not defined.`);
+            return possibleValues[parentName];
+        });
+        const valueCount = variable.possibleValues.length;
+        const rows: { parentValues: string[]; distribution: Record<string, number> }[] = [];
+        forEachDistribution(undefined, parentValueLists, (parentValues) => {
+            const start = rows.length * valueCount;
+            rows.push({ parentValues, distribution: toDistribution(variable, definition.table.slice(start, start + valueCount)) });
+        });
+        if (rows.length * valueCount !== definition.table.length) {
+            throw new Error(`The probability table of "${variable.name}" should have ${rows.length * valueCount} entries.`);
+        }
+
+        return {
+            name: variable.name,
+            parentNames: definition.parentNames,
+            possibleValues: variable.possibleValues,
+            conditionalProbabilities: createProbabilityTree(definition.parentNames.length, rows),
+        };
+    });
+
+    return { nodes: sortNodes(nodes) };
+}
@@ -0,0 +1,59 @@
+/**
+ * Browser replacement of the `network-io` module (see the `browser` field in `package.json`).
+ * There is no file system, zip or zlib support in browsers and edge runtimes,
+ * so only parsed definitions and plain JSON are supported.
+ */
+
+import type { NetworkDefinition, NetworkDefinitionFormat } from './network-io';
+
+export type { NetworkDefinition, NetworkDefinitionFormat } from './network-io';
+
+/**
+ * Parses the network definition from the contents of a plain JSON network definition file.
+ * The zipped definitions (like the ones shipped with the generator packages) have to be converted to JSON in Node.js first.
+ * @param data Contents of the network definition file.
+ */
+export function parseNetworkDefinition(data: Uint8Array): NetworkDefinition {
+    if (data[0] === 0x50 && data[1] === 0x4b) {
+        throw new Error('Zipped network definitions cannot be read in this environment. Convert them to plain JSON in Node.js first, '
+            + 'e.g. using `new BayesianNetwork({ path }).saveNetworkDefinition({ path: \'network-definition.json\' })`.');
+    }
+    const json = new TextDecoder().decode(data);
+    if (!json.trimStart().startsWith('{')) {
+        throw new Error('Only plain JSON network definitions are supported in this environment. '
+            + 'Decompress the definition first, or pass the parsed definition object.');
+    }
+    return JSON.parse(json);
+}
+
+/**
+ * Serializes the network definition as plain JSON, the only format supported in this environment.
+ * @param definition Network definition (or structure) to be serialized.
+ * @param format Format of the output.
+ */
+export function serializeNetworkDefinition(definition: object, format: NetworkDefinitionFormat = 'zip'): Buffer {
+    if (format !== 'json') {
+        throw new Error(`The "${format}" network definition format is not supported in this environment, use "json" instead.`);
+    }
+    // Buffer is not available outside of Node.js, Uint8Array is its closest equivalent.
+    return new TextEncoder().encode(JSON.stringify(definition)) as Buffer;
+}
+
+/**
+ * Reading files is not supported in this environment.
+ */
+export function readNetworkDefinition(): NetworkDefinition {
+    throw new Error('Network definitions cannot be read from files in this environment. Use the `definition` option instead.');
+}
+
+/**
+ * Writing files is not supported in this environment.
+ */
+export function writeNetworkDefinition() {
+    throw new Error('Network definitions cannot be saved to files in this environment. Use the `toJSON` method instead.');
+}
+
+/**
+ * There is no cache of the definitions read from files in this environment.
+ */
+export function clearNetworkDefinitionCache() {}
@@ -0,0 +1,242 @@
+import { readFileSync, statSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { brotliCompressSync, brotliDecompressSync, gunzipSync, gzipSync } from 'zlib';
+
+import AdmZip = require('adm-zip');
+
+import type { NodeDefinition } from './bayesian-node';
+
+/**
+ * Parsed network definition, as stored in the network definition files.
+ */
+export interface NetworkDefinition {
+    nodes: NodeDefinition[];
+}
+
+/**
+ * Formats the network definitions can be stored in.
+ * `zip` is a zip archive with a single JSON file, `lazy-zip` is a zip archive storing the large nodes in separate entries
+ * (see `serializeNetworkDefinition`), `json` is plain JSON, `gzip` and `brotli` are compressed JSON.
+ */
+export type NetworkDefinitionFormat = 'zip' | 'lazy-zip' | 'json' | 'gzip' | 'brotli';
+
+/**
+ * Key of the stubs replacing the large nodes in the main entry of the lazy zip archives, see `serializeNetworkDefinition`.
+ */
+const NODE_ENTRY_KEY = '*NODE_ENTRY*';
+
+/**
+ * Directory of the lazy zip archives containing the entries of the large nodes.
+ */
+const NODE_ENTRIES_DIRECTORY = 'nodes/';
+
+/**
+ * Nodes whose JSON is at least this long are stored in separate entries of the lazy zip archives, so they can be loaded lazily.
+ */
+const LAZY_NODE_MIN_LENGTH = 100 * 1024;
+
+/**
+ * Parsed network definitions read from files, indexed by the absolute path, see `readNetworkDefinition`.
+ */
+const definitionCache = new Map<string, { version: string; definition: NetworkDefinition }>();
+
+/**
+ * Infers the format of a network definition file from its extension, zip is used for unknown extensions.
+ * @param path File path of the network definition.
+ */
+function getFormatFromPath(path: string): NetworkDefinitionFormat {
+    if (path.endsWith('.json')) return 'json';
+    if (path.endsWith('.gz')) return 'gzip';
+    if (path.endsWith('.br')) return 'brotli';
+    return 'zip';
+}
+
+/**
+ * Creates a node definition whose properties other than the name and the parents are loaded on their first access.
+ * @param name Name of the node.
+ * @param parentNames Names of the parents of the node.
+ * @param keys Names of the lazily loaded properties.
+ * @param load Function loading the full node definition.
+ */
+function createLazyNodeDefinition(name: string, parentNames: string[], keys: string[], load: () => NodeDefinition): NodeDefinition {
+    let nodeDefinition: NodeDefinition | undefined;
+    const getNodeDefinition = () => {
+        nodeDefinition ??= load();
+        return nodeDefinition;
+    };
+    const lazyNodeDefinition: Record<string, unknown> = { name, parentNames };
+
+    for (const key of keys) {
+        Object.defineProperty(lazyNodeDefinition, key, {
+            get: () => getNodeDefinition()[key as keyof NodeDefinition],
+            // Assigning the property replaces the getter with a plain value.
+            set: (value) => {
+                Object.defineProperty(lazyNodeDefinition, key, {
+                    value, writable: true, enumerable: true, configurable: true,
+                });
+            },
+            enumerable: true,
+            configurable: true,
+        });
+    }
+
+    return lazyNodeDefinition as unknown as NodeDefinition;
+}
+
+/**
+ * Parses the network definition from a zip archive. In the lazy zip archives, the nodes stored in separate entries
+ * are only decompressed and parsed when their definitions are accessed for the first time.
+ * @param buffer Contents of the zip archive.
+ */
+function parseZipNetworkDefinition(buffer: Buffer): NetworkDefinition {
+    const zip = new AdmZip(buffer);
+    // AdmZip sorts the entries by their names, so the main entry is found as the only one outside of the directory of the nodes.
+    const mainEntry = zip.getEntries().find((entry) => !entry.isDirectory && !entry.entryName.startsWith(NODE_ENTRIES_DIRECTORY));
+    if (!mainEntry) {
+        throw new Error('The zip archive does not contain a network definition.');
+    }
+    const definition = JSON.parse(mainEntry.getData().toString('utf8'));
+
+    definition.nodes = definition.nodes.map((node: any) => {
+        if (!node[NODE_ENTRY_KEY]) return node;
+
+        const { entryName, keys } = node[NODE_ENTRY_KEY];
+        return createLazyNodeDefinition(node.name, node.parentNames, keys, () => JSON.parse(zip.getEntry(entryName)!.getData().toString('utf8')));
+    });
+
+    return definition;
+}
+
+/**
+ * Parses the network definition from the contents of a network definition file in any of the supported formats.
+ * Zip, gzip and plain JSON are recognized by their contents, anything else is treated as brotli-compressed JSON.
+ * @param data Contents of the network definition file.
+ */
+export function parseNetworkDefinition(data: Buffer | Uint8Array): NetworkDefinition {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    let json: string;
+
+    if (buffer[0] === 0x50 && buffer[1] === 0x4b) {
+        return parseZipNetworkDefinition(buffer);
+    }
+
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        json = gunzipSync(buffer).toString('utf8');
+    } else if (buffer.toString('utf8', 0, 64).trimStart().startsWith('{')) {
+        json = buffer.toString('utf8');
+    } else {
+        try {
+            json = brotliDecompressSync(buffer).toString('utf8');
+        } catch {
+            throw new Error('Unsupported network definition format, expected zip, JSON, gzip or brotli-compressed JSON.');
+        }
+    }
+
+    return JSON.parse(json);
+}
+
+/**
+ * Serializes the network definition to the given format. In the lazy zip archives, the large nodes are stored
+ * in separate entries of the `nodes/` directory, so they are only parsed once they are needed. Note that these
+ * archives cannot be read by the versions of this package that predate the format.
+ * @param definition Network definition (or structure) to be serialized.
+ * @param format Format of the output.
+ * @param entryName Name of the main JSON file inside the zip archive.
+ */
+export function serializeNetworkDefinition(
+    definition: object,
+    format: NetworkDefinitionFormat = 'zip',
+    entryName = 'network.json',
+): Buffer {
+    if (format !== 'zip' && format !== 'lazy-zip') {
+        const json = Buffer.from(JSON.stringify(definition), 'utf8');
+        switch (format) {
+            case 'json':
+                return json;
+            case 'gzip':
+                return gzipSync(json);
+            case 'brotli':
+                return brotliCompressSync(json);
+            default:
+                throw new Error(`Unknown network definition format "${format}".`);
+        }
+    }
+
+    if (entryName.startsWith(NODE_ENTRIES_DIRECTORY)) {
+        throw new Error(`The name of the main entry cannot start with "${NODE_ENTRIES_DIRECTORY}".`);
+    }
+
+    const zip = new AdmZip();
+    const nodeEntries: [string, Buffer][] = [];
+    const { nodes, ...rest } = definition as { nodes: Record<string, unknown>[] };
+    const mainDefinition = {
+        ...rest,
+        nodes: nodes.map((node, index) => {
+            if (format !== 'lazy-zip') return node;
+            const json = JSON.stringify(node);
+            if (json.length < LAZY_NODE_MIN_LENGTH) return node;
+
+            const nodeEntryName = `${NODE_ENTRIES_DIRECTORY}${index}.json`;
+            nodeEntries.push([nodeEntryName, Buffer.from(json, 'utf8')]);
+            return {
+                name: node.name,
+                parentNames: node.parentNames,
+                [NODE_ENTRY_KEY]: {
+                    entryName: nodeEntryName,
+                    keys: Object.keys(node).filter((key) => key !== 'name' && key !== 'parentNames' && node[key] !== undefined),
+                },
+            };
+        }),
+    };
+
+    zip.addFile(entryName, Buffer.from(JSON.stringify(mainDefinition), 'utf8'));
+    for (const [nodeEntryName, json] of nodeEntries) zip.addFile(nodeEntryName, json);
+    return zip.toBuffer();
+}
+
+/**
+ * Reads the network definition from the given file. The parsed definitions are cached for the lifetime of the process
+ * (until the file is modified), so repeatedly creating networks from the same file is cheap. The networks never modify
+ * the definitions they were created from, so the cached definitions can be safely shared.
+ * @param path File path of the network definition.
+ */
+export function readNetworkDefinition(path: string): NetworkDefinition {
+    const absolutePath = resolve(path);
+    const { mtimeMs, size } = statSync(absolutePath);
+    const version = `${mtimeMs}:${size}`;
+    const cached = definitionCache.get(absolutePath);
+    if (cached?.version === version) return cached.definition;
+
+    const data = readFileSync(absolutePath);
+    // Brotli streams have no magic number, so the extension is the only reliable hint.
+    const definition = getFormatFromPath(path) === 'brotli'
+        ? JSON.parse(brotliDecompressSync(data).toString('utf8'))
+        : parseNetworkDefinition(data);
+
+    definitionCache.set(absolutePath, { version, definition });
+    return definition;
+}
+
+/**
+ * Empties the cache of the network definitions read from files, e.g. to free the memory once the networks are not needed.
+ */
+export function clearNetworkDefinitionCache() {
+    definitionCache.clear();
+}
+
+/**
+ * Writes the network definition to the given file.
+ * @param definition Network definition (or structure) to be saved.
+ * @param path File path where the network definition should be saved.
+ * @param format Format of the file, inferred from the file extension by default.
+ * @param entryName Name of the main JSON file inside the zip archive.
+ */
+export function writeNetworkDefinition(
+    definition: object,
+    path: string,
+    format: NetworkDefinitionFormat = getFormatFromPath(path),
+    entryName?: string,
+) {
+    writeFileSync(path, serializeNetworkDefinition(definition, format, entryName));
+    definitionCache.delete(resolve(path));
+}
@@ -0,0 +1,294 @@
+import type { RecordList } from './bayesian-network';
+import { writeNetworkDefinition } from './network-io';
+
+/**
+ * Structure of a single network node - its name and the names of its parents.
+ */
+export interface NodeStructure {
+    name: string;
+    parentNames: string[];
+}
+
+/**
+ * Network structure without any probability distributions, in the format accepted by the `BayesianNetwork` constructor.
+ */
+export interface NetworkStructure {
+    nodes: NodeStructure[];
+}
+
+/**
+ * Options for the `learnNetworkStructure` function.
+ */
+export interface StructureLearningOptions {
+    /**
+     * Structure learning algorithm.
+     * `chow-liu` builds the tree maximizing the mutual information between the connected attributes,
+     * `hill-climbing` greedily adds, removes and reverses edges to optimize the BIC score of the network.
+     * Default value is `hill-climbing`.
+     */
+    method?: 'chow-liu' | 'hill-climbing';
+    /**
+     * Maximum number of parents of a single node. Only used by the `hill-climbing` method. Default value is 3.
+     */
+    maxParents?: number;
+    /**
+     * Maximum number of edge operations performed by the `hill-climbing` method. Default value is 1000.
+     */
+    maxIterations?: number;
+    /**
+     * Attributes to be included in the network. Defaults to all the attributes present in the data.
+     */
+    attributes?: string[];
+}
+
+/**
+ * Replaces the attribute values with integer codes, so the statistics can be calculated faster.
+ * @param data A RecordList containing the data.
+ * @param attributes Attributes to be encoded.
+ */
+function encodeData(data: RecordList, attributes: string[]) {
+    const columns: Record<string, Int32Array> = {};
+    const cardinalities: Record<string, number> = {};
+
+    for (const attribute of attributes) {
+        const codes = new Map<any, number>();
+        const column = new Int32Array(data.length);
+        data.forEach((record, i) => {
+            const value = record[attribute];
+            if (!codes.has(value)) codes.set(value, codes.size);
+            column[i] = codes.get(value)!;
+        });
+        columns[attribute] = column;
+        cardinalities[attribute] = codes.size;
+    }
+
+    return { columns, cardinalities };
+}
+
+/**
+ * Calculates the mutual information of two encoded attributes.
+ * @param a Codes of the first attribute.
+ * @param b Codes of the second attribute.
+ */
+function mutualInformation(a: Int32Array, b: Int32Array): number {
+    const total = a.length;
+    const jointCounts = new Map<string, number>();
+    const aCounts = new Map<number, number>();
+    const bCounts = new Map<number, number>();
+
+    for (let i = 0; i < total; i++) {
+        const key = `${a[i]},${b[i]}`;
+        jointCounts.set(key, (jointCounts.get(key) ?? 0) + 1);
+        aCounts.set(a[i], (aCounts.get(a[i]) ?? 0) + 1);
+        bCounts.set(b[i], (bCounts.get(b[i]) ?? 0) + 1);
+    }
+
+    let information = 0;
+    for (const [key, count] of jointCounts) {
+        const [aValue, bValue] = key.split(',').map(Number);
+        information += (count / total) * Math.log((count * total) / (aCounts.get(aValue)! * bCounts.get(bValue)!));
+    }
+
+    return information;
+}
+
+/**
+ * Learns the Chow-Liu tree (the maximum spanning tree of the mutual information graph) rooted in the first attribute.
+ * @param columns Encoded data.
+ * @param attributes Attributes to be included in the tree.
+ */
+function learnChowLiuTree(columns: Record<string, Int32Array>, attributes: string[]): Record<string, string[]> {
+    const parents: Record<string, string[]> = Object.fromEntries(attributes.map((attribute) => [attribute, []]));
+    if (attributes.length === 0) return parents;
+
+    const bestConnection: Record<string, { weight: number; parent: string }> = {};
+    const remaining = new Set(attributes.slice(1));
+    let lastAdded = attributes[0];
+
+    // Prim's algorithm, edges are oriented away from the root.
+    while (remaining.size > 0) {
+        let next: string | undefined;
+        for (const attribute of remaining) {
+            const weight = mutualInformation(columns[lastAdded], columns[attribute]);
+            if (!bestConnection[attribute] || weight > bestConnection[attribute].weight) {
+                bestConnection[attribute] = { weight, parent: lastAdded };
+            }
+            if (next === undefined || bestConnection[attribute].weight > bestConnection[next].weight) {
+                next = attribute;
+            }
+        }
+
+        parents[next!] = [bestConnection[next!].parent];
+        remaining.delete(next!);
+        lastAdded = next!;
+    }
+
+    return parents;
+}
+
+/**
+ * Learns the network structure by greedy hill climbing on the BIC score, starting from an empty network.
+ * @param columns Encoded data.
+ * @param cardinalities Numbers of distinct values of the attributes.
+ * @param attributes Attributes to be included in the network.
+ * @param maxParents Maximum number of parents of a single node.
+ * @param maxIterations Maximum number of edge operations.
+ */
+function learnHillClimbing(
+    columns: Record<string, Int32Array>,
+    cardinalities: Record<string, number>,
+    attributes: string[],
+    maxParents: number,
+    maxIterations: number,
+): Record<string, string[]> {
+    const parents: Record<string, string[]> = Object.fromEntries(attributes.map((attribute) => [attribute, []]));
+    const scoreCache = new Map<string, number>();
+    const total = attributes.length > 0 ? columns[attributes[0]].length : 0;
+
+    const familyScore = (node: string, nodeParents: string[]) => {
+        const cacheKey = JSON.stringify([node, [...nodeParents].sort()]);
+        if (scoreCache.has(cacheKey)) return scoreCache.get(cacheKey)!;
+
+        const counts = new Map<string, Map<number, number>>();
+        for (let i = 0; i < total; i++) {
+            const parentKey = nodeParents.map((parent) => columns[parent][i]).join(',');
+            if (!counts.has(parentKey)) counts.set(parentKey, new Map());
+            const valueCounts = counts.get(parentKey)!;
+            valueCounts.set(columns[node][i], (valueCounts.get(columns[node][i]) ?? 0) + 1);
+        }
+
+        let logLikelihood = 0;
+        for (const valueCounts of counts.values()) {
+            let parentCount = 0;
+            for (const count of valueCounts.values()) parentCount += count;
+            for (const count of valueCounts.values()) logLikelihood += count * Math.log(count / parentCount);
+        }
+
+        // The number of the free parameters counts all the combinations of the parent values, including the unobserved ones.
+        const parentStates = nodeParents.reduce((acc, parent) => acc * cardinalities[parent], 1);
+        const score = logLikelihood - 0.5 * Math.log(total) * (cardinalities[node] - 1) * parentStates;
+        scoreCache.set(cacheKey, score);
+        return score;
+    };
+
+    const hasPath = (from: string, to: string): boolean => {
+        const visited = new Set<string>();
+        const stack = [from];
+        while (stack.length > 0) {
+            const current = stack.pop()!;
+            if (current === to) return true;
+            if (visited.has(current)) continue;
+            visited.add(current);
+            for (const attribute of attributes) {
+                if (parents[attribute].includes(current)) stack.push(attribute);
+            }
+        }
+        return false;
+    };
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        let bestDelta = 1e-9;
+        let bestOperation: (() => void) | undefined;
+
+        for (const child of attributes) {
+            const currentChildScore = familyScore(child, parents[child]);
+            for (const parent of attributes) {
+                if (parent === child) continue;
+
+                if (!parents[child].includes(parent)) {
+                    // Adding the edge must not create a cycle.
+                    if (parents[child].length >= maxParents || hasPath(child, parent)) continue;
+                    const delta = familyScore(child, [...parents[child], parent]) - currentChildScore;
+                    if (delta > bestDelta) {
+                        bestDelta = delta;
+                        bestOperation = () => { parents[child].push(parent); };
+                    }
+                    continue;
+                }
+
+                const childParentsWithoutEdge = parents[child].filter((x) => x !== parent);
+                const removalDelta = familyScore(child, childParentsWithoutEdge) - currentChildScore;
+                if (removalDelta > bestDelta) {
+                    bestDelta = removalDelta;
+                    bestOperation = () => { parents[child] = childParentsWithoutEdge; };
+                }
+
+                if (parents[parent].length >= maxParents) continue;
+                // Reversing the edge must not create a cycle through another path.
+                parents[child] = childParentsWithoutEdge;
+                const createsCycle = hasPath(parent, child);
+                parents[child] = [...childParentsWithoutEdge, parent];
+                if (createsCycle) continue;
+
+                const reversalDelta = removalDelta + familyScore(parent, [...parents[parent], child]) - familyScore(parent, parents[parent]);
+                if (reversalDelta > bestDelta) {
+                    bestDelta = reversalDelta;
+                    bestOperation = () => {
+                        parents[child] = childParentsWithoutEdge;
+                        parents[parent].push(child);
+                    };
+                }
+            }
+        }
+
+        if (!bestOperation) break;
+        bestOperation();
+    }
+
+    return parents;
+}
+
+/**
+ * Orders the nodes topologically (parents before children), keeping the original attribute order where possible.
+ * @param attributes Attributes in their original order.
+ * @param parents Parent names of every attribute.
+ */
+function toNetworkStructure(attributes: string[], parents: Record<string, string[]>): NetworkStructure {
+    const ordered: string[] = [];
+    while (ordered.length < attributes.length) {
+        const next = attributes.find((attribute) => !ordered.includes(attribute)
+            && parents[attribute].every((parent) => ordered.includes(parent)));
+        ordered.push(next!);
+    }
+
+    return {
+        nodes: ordered.map((name) => ({
+            name,
+            parentNames: [...parents[name]].sort((a, b) => ordered.indexOf(a) - ordered.indexOf(b)),
+        })),
+    };
+}
+
+/**
+ * Learns the structure of a bayesian network (the parents of every node) from the given data.
+ * The resulting structure can be saved with `saveNetworkStructure` and later used to create a `BayesianNetwork`,
+ * whose probabilities are then set with `setProbabilitiesAccordingToData`.
+ * @param data A RecordList containing the data.
+ * @param options Structure learning options.
+ */
+export function learnNetworkStructure(data: RecordList, options: StructureLearningOptions = {}): NetworkStructure {
+    const {
+        method = 'hill-climbing',
+        maxParents = 3,
+        maxIterations = 1000,
+        attributes = Array.from(new Set(data.flatMap((record) => Object.keys(record)))),
+    } = options;
+
+    const { columns, cardinalities } = encodeData(data, attributes);
+
+    const parents = method === 'chow-liu'
+        ? learnChowLiuTree(columns, attributes)
+        : learnHillClimbing(columns, cardinalities, attributes, maxParents, maxIterations);
+
+    return toNetworkStructure(attributes, parents);
+}
+
+/**
+ * Saves the network structure to the specified file path. The format is inferred from the file extension
+ * the same way as in `BayesianNetwork.saveNetworkDefinition`, zip archives are used by default.
+ * @param structure Network structure, e.g. the output of `learnNetworkStructure`.
+ * @param path File path where the network structure should be saved.
+ */
+export function saveNetworkStructure(structure: NetworkStructure, { path }: { path: string }) {
+    writeNetworkDefinition(structure, path, undefined, 'network-structure.json');
+}
@@ -1,5 +1,112 @@
 import type { BayesianNetwork } from './bayesian-network';
 
+/**
+ * Function returning a pseudo-random number from the `[0, 1)` interval, same as `Math.random`.
+ */
+export type RandomGenerator = () => number;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), usable as a drop-in replacement for `Math.random`.
+ * Generators created with the same seed always return the same sequence of numbers.
+ * @param seed Integer seed of the generator.
+ */
+/* eslint-disable no-bitwise */
+export function createSeededRandom(seed: number): RandomGenerator {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+/* eslint-enable no-bitwise */
+
+/**
+ * Restriction on the values of a single node - a whitelist of the possible values, a regular expression the values
+ * have to match, a predicate function returning true for the allowed values, or an object combining several conditions
+ * (all of which the values have to satisfy).
+ */
+export type ValueConstraint = string[] | RegExp | ((value: string) => boolean) | {
+    /**
+     * Whitelist of the possible values.
+     */
+    oneOf?: string[];
+    /**
+     * Values that are not allowed.
+     */
+    exclude?: string[];
+    /**
+     * Minimal numeric value (inclusive). Values that are not numbers never satisfy a numeric range.
+     */
+    min?: number;
+    /**
+     * Maximal numeric value (inclusive). Values that are not numbers never satisfy a numeric range.
+     */
+    max?: number;
+    /**
+     * Regular expression the values have to match.
+     */
+    pattern?: RegExp;
+    /**
+     * Function returning true for the allowed values.
+     */
+    predicate?: (value: string) => boolean;
+};
+
+/**
+ * Restrictions on the values of the network nodes, indexed by the node names.
+ */
+export type ValueConstraints = Record<string, ValueConstraint>;
+
+/**
+ * Checks whether the value satisfies the given constraint.
+ * @param value Value of a node.
+ * @param constraint Constraint of the node values.
+ */
+export function satisfiesConstraint(value: string, constraint: ValueConstraint): boolean {
+    if (Array.isArray(constraint)) return constraint.includes(value);
+    // `search` ignores the `lastIndex` of global regular expressions, unlike `test`.
+    if (constraint instanceof RegExp) return value.search(constraint) !== -1;
+    if (typeof constraint === 'function') return constraint(value);
+
+    const {
+        oneOf, exclude, min, max, pattern, predicate,
+    } = constraint;
+    if (oneOf && !oneOf.includes(value)) return false;
+    if (exclude && exclude.includes(value)) return false;
+    if (min !== undefined || max !== undefined) {
+        const number = value.trim() === '' ? NaN : Number(value);
+        if (Number.isNaN(number) || number < (min ?? -Infinity) || number > (max ?? Infinity)) return false;
+    }
+    if (pattern && value.search(pattern) === -1) return false;
+    return !predicate || predicate(value);
+}
+
+/**
+ * Resolves the constraints to the whitelists of the possible values of the nodes.
+ * Whitelists are kept as they are, constraints of nodes not present in the network are left out.
+ * @param network Network the constraints apply to.
+ * @param constraints Constraints of the node values.
+ */
+export function resolveConstraints(network: BayesianNetwork, constraints: ValueConstraints): Record<string, string[]> {
+    const resolved: Record<string, string[]> = {};
+    for (const [name, constraint] of Object.entries(constraints)) {
+        if (Array.isArray(constraint)) {
+            resolved[name] = constraint;
+            continue;
+        }
+
+        // eslint-disable-next-line
+        const node = network['nodesByName'][name];
+        if (node) {
+            resolved[name] = node.possibleValues.filter((value: string) => satisfiesConstraint(value, constraint));
+        }
+    }
+    return resolved;
+}
+
 /**
  * Performs a set "intersection" on the given (flat) arrays.
  */
@@ -25,90 +132,27 @@ export function arrayZip<T>(a: T[][], b: T[][], f: (aEl: T[], bEl: T[]) => T[]):
     return a.map((x, i) => f(x, b[i]));
 }
 /**
- * Given a `generative-bayesian-network` instance and a set of user constraints, returns an extended
- * set of constraints **induced** by the original constraints and network structure.
- * @param {*} network
- * @param {*} possibleValues
- * @returns
+ * Given a `generative-bayesian-network` instance and a set of user constraints, returns the possible values of all the nodes
+ * **induced** by the original constraints and network structure. The constraints are propagated through the whole network,
+ * so constraints of distant nodes restrict each other as well.
+ * Throws an error listing a minimal set of the conflicting constraints if the constraints cannot be satisfied.
+ * @param network Network the constraints apply to.
+ * @param constraints Whitelists of the possible values or any other `ValueConstraint`s of the nodes.
  */
-export function getPossibleValues(network: BayesianNetwork, possibleValues: Record<string, string[]>) {
-    /**
-     * Removes the "deeper/skip" stuctures from the conditional probability table.
-     */
-    function undeeper(obj: Record<string, any>) {
-        if (typeof obj !== 'object' || obj === null) return obj;
+export function getPossibleValues(network: BayesianNetwork, constraints: ValueConstraints): Record<string, string[]> {
+    const possibleValues = network.getInducedDomains(constraints);
+    if (possibleValues) return possibleValues;
 
-        const result: Record<string, any> = {};
-        for (const key of Object.keys(obj)) {
-            if (key === 'skip') continue;
-            if (key === 'deeper') {
-                Object.assign(result, undeeper(obj[key]));
-                continue;
-            }
-            result[key] = undeeper(obj[key]);
-        }
-        return result;
-    }
-
-    /**
-     * Performs DFS on the Tree and returns values of the nodes on the paths that end with the given keys (stored by levels - first level is the root)
-     * ```
-     *        1
-     *      /   \
-     *     2      3
-     *    / \    / \
-     *   4  5    6  7
-     * ```
-     *  ```filterByLastLevelKeys(tree, ['4', '7']) => [[1], [2,3]]```
-     *
-     * @param {*} tree
-     * @param {*} validKeys
-     * @returns
-     */
-    function filterByLastLevelKeys(tree: Record<string, any>, validKeys: string[]) {
-        let out: string[][] = [];
-        const recurse = (t: Record<string, any>, vk: string[], acc: string[]) => {
-            for (const key of Object.keys(t)) {
-                if (typeof t[key] !== 'object' || !t[key]) {
-                    if (vk.includes(key)) {
-                        out = out.length === 0 ? acc.map((x) => [x]) : arrayZip(out, acc.map((x) => [x]), (a, b) => ([...new Set([...a, ...b])]));
-                    }
-                    continue;
-                } else {
-                    recurse(t[key], vk, [...acc, key]);
-                }
-            }
-        };
-        recurse(tree, validKeys, []);
-        return out;
+    // Leaves out the constraints one by one, keeping only those without which the rest could be satisfied.
+    const conflictingConstraints = { ...constraints };
+    for (const name of Object.keys(constraints)) {
+        const { [name]: constraint, ...otherConstraints } = conflictingConstraints;
+        if (!network.getInducedDomains(otherConstraints)) delete conflictingConstraints[name];
     }
 
-    const sets = [];
-
-    // For every pre-specified node, we compute the "closure" for values of the other nodes.
-    for (const key of Object.keys(possibleValues)) {
-        if (!Array.isArray(possibleValues[key])) continue;
-        if (possibleValues[key].length === 0) {
-            throw new Error(`The current constraints are too restrictive. 
-No possible values can be found for the given constraints.`);
-        }
-        // eslint-disable-next-line
-        const node = network['nodesByName'][key]['nodeDefinition'];
-        const tree = undeeper(node.conditionalProbabilities);
-        const zippedValues = filterByLastLevelKeys(tree, possibleValues[key]);
-        sets.push({ ...Object.fromEntries(zippedValues.map((x, i) => [node.parentNames[i], x])), [key]: possibleValues[key] });
-    }
-
-    // We compute the intersection of all the possible values for each node.
-    return sets.reduce((acc, x) => {
-        for (const key of Object.keys(x)) {
-            acc[key] = acc[key] ? arrayIntersection(acc[key], x[key]) : x[key];
-            // If the intersection turns out to be empty, we throw an error ().
-            if (acc[key].length === 0) {
-                throw new Error(`The current constraints are too restrictive. 
-No possible values can be found for the given constraints.`);
-            }
-        }
-        return acc;
-    }, {});
+    const names = Object.keys(conflictingConstraints);
+    throw new Error(`The current constraints are too restrictive.
+No possible values can be found for the given constraints: ${names.length === 1
+        ? `the constraint of ${names[0]} cannot be satisfied.`
+        : `the constraints of ${names.join(', ')} conflict with each other.`}`);
 }
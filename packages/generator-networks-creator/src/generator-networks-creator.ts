@@ -1,7 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 
-import { BayesianNetwork } from 'generative-bayesian-network';
+import { BayesianNetwork, ProbabilityEstimationOptions } from 'generative-bayesian-network';
 import fetch from 'node-fetch';
 
 const browserHttpNodeName = '*BROWSER_HTTP';
@@ -120,7 +120,7 @@ export class GeneratorNetworksCreator {
         return { device, operatingSystem };
     }
 
-    private getBrowserNameVersion(userAgent: string) : `${string}/${string}` | typeof missingValueDatasetToken {
+    private getBrowserNameVersion(userAgent: string, secChUa?: string) : `${string}/${string}` | typeof missingValueDatasetToken {
         const canonicalNames = {
             chrome: 'chrome',
             crios: 'chrome',
@@ -131,9 +131,16 @@ export class GeneratorNetworksCreator {
             edg: 'edge',
             edga: 'edge',
             edgios: 'edge',
+            opr: 'opera',
+            opt: 'opera',
+            yabrowser: 'yandex',
+            samsungbrowser: 'samsung',
+            vivaldi: 'vivaldi',
         } as Record<string, string>;
 
-        const unsupportedBrowsers = /opr|yabrowser|SamsungBrowser|UCBrowser|vivaldi/ig;
+        const unsupportedBrowsers = /UCBrowser/ig;
+        // Chromium-based browsers add their own token to the Chrome User-Agent, so they have to be matched first.
+        const chromiumBased = /(opr|opt|yabrowser|samsungbrowser|vivaldi)\/([0-9.]*)/ig;
         const edge = /(edg(a|ios|e)?)\/([0-9.]*)/ig;
         const supportedBrowsers = /(firefox|fxios|chrome|crios|safari)\/([0-9.]*)/ig;
 
@@ -141,18 +148,26 @@ export class GeneratorNetworksCreator {
             return missingValueDatasetToken;
         }
 
-        if (edge.test(userAgent)) {
+        if (chromiumBased.test(userAgent)) {
+            const match = userAgent.match(chromiumBased)![0].split('/');
+            return `${canonicalNames[match[0].toLowerCase()]}/${match[1]}`;
+        } if (edge.test(userAgent)) {
             const match = userAgent.match(edge)![0].split('/');
             return `edge/${match[1]}`;
         } if (supportedBrowsers.test(userAgent)) {
             const match = userAgent.match(supportedBrowsers)![0].split('/');
-            return `${canonicalNames[match[0].toLowerCase()]}/${match[1]}`;
+            const name = canonicalNames[match[0].toLowerCase()];
+            // Brave uses the Chrome User-Agent and only identifies itself in the brand list of the client hints.
+            if (name === 'chrome' && /"brave"/i.test(secChUa ?? '')) {
+                return `brave/${match[1]}`;
+            }
+            return `${name}/${match[1]}`;
         }
 
         return missingValueDatasetToken;
     }
 
-    async prepareHeaderGeneratorFiles(datasetPath: string, resultsPath: string) {
+    async prepareHeaderGeneratorFiles(datasetPath: string, resultsPath: string, estimationOptions: ProbabilityEstimationOptions = {}) {
         const datasetText = fs.readFileSync(datasetPath, { encoding: 'utf8' });
         const records = await prepareRecords(JSON.parse(datasetText), 'headers');
 
@@ -172,7 +187,8 @@ export class GeneratorNetworksCreator {
         selectedRecords = selectedRecords.map((record) => {
             const userAgent = (record['user-agent'] !== missingValueDatasetToken ? record['user-agent'] : record['User-Agent']).toLowerCase();
 
-            const browser = this.getBrowserNameVersion(userAgent);
+            const secChUa = record['sec-ch-ua'] !== missingValueDatasetToken ? record['sec-ch-ua'] as string : undefined;
+            const browser = this.getBrowserNameVersion(userAgent, secChUa);
             const { device, operatingSystem } = this.getDeviceOS(userAgent);
 
             return {
@@ -184,21 +200,22 @@ export class GeneratorNetworksCreator {
             };
         });
 
-        headerGeneratorNetwork.setProbabilitiesAccordingToData(selectedRecords);
-        inputGeneratorNetwork.setProbabilitiesAccordingToData(selectedRecords);
+        headerGeneratorNetwork.setProbabilitiesAccordingToData(selectedRecords, estimationOptions);
+        inputGeneratorNetwork.setProbabilitiesAccordingToData(selectedRecords, estimationOptions);
 
         const inputNetworkDefinitionPath = path.join(resultsPath, 'input-network-definition.zip');
         const headerNetworkDefinitionPath = path.join(resultsPath, 'header-network-definition.zip');
         const browserHelperFilePath = path.join(resultsPath, 'browser-helper-file.json');
 
-        headerGeneratorNetwork.saveNetworkDefinition({ path: headerNetworkDefinitionPath });
-        inputGeneratorNetwork.saveNetworkDefinition({ path: inputNetworkDefinitionPath });
+        // The generators load the large nodes of the shipped networks lazily, so they are stored in separate entries.
+        headerGeneratorNetwork.saveNetworkDefinition({ path: headerNetworkDefinitionPath, format: 'lazy-zip' });
+        inputGeneratorNetwork.saveNetworkDefinition({ path: inputNetworkDefinitionPath, format: 'lazy-zip' });
 
         const uniqueBrowsersAndHttps = Array.from(new Set(selectedRecords.map((record) => record[browserHttpNodeName])));
         fs.writeFileSync(browserHelperFilePath, JSON.stringify(uniqueBrowsersAndHttps));
     }
 
-    async prepareFingerprintGeneratorFiles(datasetPath: string, resultsPath: string) {
+    async prepareFingerprintGeneratorFiles(datasetPath: string, resultsPath: string, estimationOptions: ProbabilityEstimationOptions = {}) {
         const datasetText = fs.readFileSync(datasetPath, { encoding: 'utf8' }).replace(/^\ufeff/, '');
         const records = await prepareRecords(JSON.parse(datasetText), 'fingerprints');
         for (let x = 0; x < records.length; x++) {
@@ -245,7 +262,7 @@ export class GeneratorNetworksCreator {
 
         // eslint-disable-next-line no-console
         console.log('Building the fingerprint network...');
-        fingerprintGeneratorNetwork.setProbabilitiesAccordingToData(selectedRecords);
-        fingerprintGeneratorNetwork.saveNetworkDefinition({ path: fingerprintNetworkDefinitionPath });
+        fingerprintGeneratorNetwork.setProbabilitiesAccordingToData(selectedRecords, estimationOptions);
+        fingerprintGeneratorNetwork.saveNetworkDefinition({ path: fingerprintNetworkDefinitionPath, format: 'lazy-zip' });
     }
 }
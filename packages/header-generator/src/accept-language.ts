@@ -0,0 +1,63 @@
+import type { BrowserName } from './header-generator';
+
+/**
+ * Adds the base languages the way Chromium does - after the last of the consecutive locales of the same language
+ * (e.g. `en-US, en-GB` are followed by `en`), unless the base language is already in the list.
+ * @param locales Locales in the order of preference.
+ */
+function addBaseLanguages(locales: string[]): string[] {
+    const expandedLocales: string[] = [];
+    locales.forEach((locale, index) => {
+        expandedLocales.push(locale);
+        const [baseLanguage] = locale.split('-');
+        const nextBaseLanguage = locales[index + 1]?.split('-')[0];
+        if (baseLanguage !== locale && baseLanguage !== nextBaseLanguage && !locales.includes(baseLanguage) && !expandedLocales.includes(baseLanguage)) {
+            expandedLocales.push(baseLanguage);
+        }
+    });
+    return expandedLocales;
+}
+
+/**
+ * Chromium decreases the q-values by 0.1 down to 0.1.
+ * @param index Position of the language in the list.
+ */
+function getChromiumQValue(index: number): string {
+    return `0.${Math.max(10 - index, 1)}`;
+}
+
+/**
+ * Firefox spreads the q-values evenly between 1 and 0 and rounds them to as many decimal places as the number of the languages has digits.
+ * @param index Position of the language in the list.
+ * @param count Number of the languages.
+ */
+function getFirefoxQValue(index: number, count: number): string {
+    const decimalPlaces = String(count).length;
+    const qValue = Math.floor((1 - index / count) * 10 ** decimalPlaces + 0.5);
+    return `0.${String(qValue).padStart(decimalPlaces, '0')}`;
+}
+
+/**
+ * Returns the languages sent by the browser in the `Accept-Language` header, in the order of preference.
+ * Chromium-based browsers add the base languages of the locales, Firefox and Safari send the locales as they are.
+ * @param locales Locales in the order of preference.
+ * @param browser Name of the browser.
+ */
+function getAcceptedLanguages(locales: string[], browser?: BrowserName | string): string[] {
+    if (browser === 'firefox' || browser === 'safari') return [...locales];
+    return addBaseLanguages(locales);
+}
+
+/**
+ * Formats the `Accept-Language` header the way the browser does, keeping the order of the locales.
+ * @param locales Locales in the order of preference.
+ * @param browser Name of the browser.
+ */
+export function getAcceptLanguageHeader(locales: string[], browser?: BrowserName | string): string {
+    const languages = getAcceptedLanguages(locales, browser);
+    return languages.map((language, index) => {
+        if (index === 0) return language;
+        const qValue = browser === 'firefox' ? getFirefoxQValue(index, languages.length) : getChromiumQValue(index);
+        return `${language};q=${qValue}`;
+    }).join(',');
+}
@@ -0,0 +1,150 @@
+/**
+ * High-entropy values of the `navigator.userAgentData` (as returned by `getHighEntropyValues`) the client hints are generated from.
+ */
+interface UserAgentData {
+    brands: { brand: string; version: string }[];
+    mobile: boolean;
+    platform: string;
+    architecture?: string;
+    bitness?: string;
+    fullVersionList?: { brand: string; version: string }[];
+    model?: string;
+    platformVersion?: string;
+    uaFullVersion?: string;
+    wow64?: boolean;
+    formFactors?: string[];
+}
+
+/**
+ * Default `platformVersion` of the platforms, used if the `userAgentData` are not available.
+ */
+const DEFAULT_PLATFORM_VERSIONS: Record<string, string> = {
+    Windows: '10.0.0',
+    macOS: '14.0.0',
+    Android: '14.0.0',
+};
+
+/**
+ * Serializes the value as a structured header string, keeping undefined values undefined.
+ * @param value String value.
+ */
+function serializeString(value?: string): string | undefined {
+    return value === undefined ? undefined : JSON.stringify(value);
+}
+
+/**
+ * Serializes the brands as a list of strings with the `v` parameter, e.g. `"Chromium";v="130"`.
+ * @param brands Brands and their versions.
+ */
+function serializeBrands(brands: { brand: string; version: string }[]): string {
+    return brands.map(({ brand, version }) => `${JSON.stringify(brand)};v=${JSON.stringify(version)}`).join(', ');
+}
+
+/**
+ * Default `architecture` of the desktop platforms other than `x86`, used if the `userAgentData` are not available.
+ */
+const DEFAULT_ARCHITECTURES: Record<string, string> = {
+    macOS: 'arm',
+};
+
+/**
+ * Functions serializing the values of the user agent client hints (structured header fields, RFC 8941),
+ * indexed by the header names.
+ */
+const CLIENT_HINT_SERIALIZERS: Record<string, (data: UserAgentData) => string | undefined> = {
+    'sec-ch-ua': (data) => serializeBrands(data.brands),
+    'sec-ch-ua-arch': (data) => serializeString(data.architecture),
+    'sec-ch-ua-bitness': (data) => serializeString(data.bitness),
+    'sec-ch-ua-form-factors': (data) => data.formFactors?.map(serializeString).join(', '),
+    'sec-ch-ua-full-version': (data) => serializeString(data.uaFullVersion),
+    'sec-ch-ua-full-version-list': (data) => data.fullVersionList && serializeBrands(data.fullVersionList),
+    'sec-ch-ua-mobile': (data) => (data.mobile ? '?1' : '?0'),
+    'sec-ch-ua-model': (data) => serializeString(data.model),
+    'sec-ch-ua-platform': (data) => serializeString(data.platform),
+    'sec-ch-ua-platform-version': (data) => serializeString(data.platformVersion),
+    'sec-ch-ua-wow64': (data) => (data.wow64 ? '?1' : '?0'),
+};
+
+/**
+ * Adds the client hints to a header order collected by the `header-order-collector`, which only sees the low-entropy
+ * client hints sent by default. The browsers send all the client hints together, right after `sec-ch-ua`, in the alphabetical order.
+ * Orders without `sec-ch-ua` (browsers not supporting the client hints) are returned unchanged.
+ * @param order Header names in the order of a browser.
+ */
+export function addClientHintsToOrder(order: string[]): string[] {
+    const completeOrder: string[] = [];
+    for (let i = 0; i < order.length; i++) {
+        if (order[i] !== 'sec-ch-ua') {
+            completeOrder.push(order[i]);
+            continue;
+        }
+
+        let end = i + 1;
+        while (order[end]?.startsWith('sec-ch-ua-')) end++;
+        completeOrder.push(...new Set([...order.slice(i, end), ...Object.keys(CLIENT_HINT_SERIALIZERS)].sort()));
+        i = end - 1;
+    }
+    return completeOrder;
+}
+
+/**
+ * Reconstructs the user agent data from the low-entropy client hints, approximating the high-entropy values.
+ * Returns undefined if the headers contain no client hints (the browser doesn't support them).
+ * @param headers Headers generated by the `HeaderGenerator`.
+ */
+function getUserAgentDataFromHeaders(headers: Record<string, string>): UserAgentData | undefined {
+    if (!headers['sec-ch-ua']) return undefined;
+
+    const brands = [...headers['sec-ch-ua'].matchAll(/"((?:[^"\\]|\\.)*)";v="([^"]*)"/g)]
+        .map(([, brand, version]) => ({ brand: brand.replace(/\\(.)/g, '$1'), version }));
+    const platform = headers['sec-ch-ua-platform']?.replace(/^"|"$/g, '') ?? '';
+    const mobile = headers['sec-ch-ua-mobile'] === '?1';
+    const fullVersionList = brands.map(({ brand, version }) => ({ brand, version: `${version}.0.0.0` }));
+
+    return {
+        brands,
+        mobile,
+        platform,
+        architecture: mobile ? '' : DEFAULT_ARCHITECTURES[platform] ?? 'x86',
+        bitness: mobile ? '' : '64',
+        fullVersionList,
+        model: '',
+        platformVersion: DEFAULT_PLATFORM_VERSIONS[platform] ?? '',
+        // The full version is the version of the browser's own brand, not of Chromium or the GREASE brand.
+        uaFullVersion: fullVersionList.find(({ brand }) => !/Chromium|Not.A.Brand/i.test(brand))?.version ?? fullVersionList[0]?.version,
+        wow64: false,
+        formFactors: [mobile ? 'Mobile' : 'Desktop'],
+    };
+}
+
+/**
+ * Parses the list of the client hints from the `Accept-CH` or `Critical-CH` header.
+ * @param value Value of the header.
+ */
+export function parseClientHintsHeader(value = ''): string[] {
+    return value.split(',').map((hint) => hint.trim().toLowerCase()).filter((hint) => hint !== '');
+}
+
+/**
+ * Generates the client hint headers requested by the server (in the `Accept-CH` response header) for a browser
+ * supporting the user agent client hints. Other hints and hints unknown to the browsers are left out.
+ * @param headers Headers generated by the `HeaderGenerator`, with the low-entropy client hints.
+ * @param requestedHints Names of the requested client hints.
+ * @param userAgentData High-entropy values of the `navigator.userAgentData` of the browser (e.g. from its fingerprint),
+ * approximated from the low-entropy client hints if not provided.
+ */
+export function getClientHints(
+    headers: Record<string, string>,
+    requestedHints: string[],
+    userAgentData?: Record<string, any>,
+): Record<string, string> {
+    const data = (userAgentData as UserAgentData | undefined) ?? getUserAgentDataFromHeaders(headers);
+    if (!data || !headers['sec-ch-ua']) return {};
+
+    const clientHints: Record<string, string> = {};
+    for (const hint of requestedHints) {
+        const value = CLIENT_HINT_SERIALIZERS[hint]?.({ formFactors: [data.mobile ? 'Mobile' : 'Desktop'], ...data });
+        if (value !== undefined) clientHints[hint] = value;
+    }
+    return clientHints;
+}
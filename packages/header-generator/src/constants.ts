@@ -3,10 +3,16 @@ export const SUPPORTED_BROWSERS = [
     'firefox',
     'safari',
     'edge',
+    'opera',
+    'brave',
+    'vivaldi',
+    'samsung',
+    'yandex',
 ] as const;
 export const SUPPORTED_OPERATING_SYSTEMS = ['windows', 'macos', 'linux', 'android', 'ios'] as const;
 export const SUPPORTED_DEVICES = ['desktop', 'mobile'] as const;
 export const SUPPORTED_HTTP_VERSIONS = ['1', '2'] as const;
+export const SUPPORTED_REQUEST_TYPES = ['navigation', 'iframe', 'form', 'fetch', 'xhr', 'script', 'style', 'image', 'font', 'websocket'] as const;
 
 export const BROWSER_HTTP_NODE_NAME = '*BROWSER_HTTP' as const;
 export const OPERATING_SYSTEM_NODE_NAME = '*OPERATING_SYSTEM' as const;
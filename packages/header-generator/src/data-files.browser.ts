@@ -0,0 +1,25 @@
+/**
+ * Browser replacement of the `data-files` module - there is no file system to read the bundled data files from,
+ * so they have to be passed to the generator using the `dataFiles` option.
+ */
+
+import type { NetworkDefinition } from 'generative-bayesian-network';
+
+/**
+ * Throws an error explaining how to provide the data file instead.
+ * @param fileName Name of the file.
+ * @param hint Additional instructions for the data file.
+ */
+function throwMissingDataFile(fileName: string, hint = ''): never {
+    throw new Error(`The data file "${fileName}" cannot be read in this environment. Pass it using the \`dataFiles\` option.${hint}`);
+}
+
+export function readNetworkDataFile(fileName: string): NetworkDefinition {
+    // Only the zipped definitions are shipped, and they cannot be read without zip support either.
+    return throwMissingDataFile(fileName, ' Convert the network definition to plain JSON in Node.js first, '
+        + 'see the "Browsers and edge runtimes" section of the header-generator README.');
+}
+
+export function readJsonDataFile(fileName: string): any {
+    return throwMissingDataFile(fileName);
+}
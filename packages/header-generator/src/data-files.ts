@@ -0,0 +1,30 @@
+import { readFileSync } from 'fs';
+
+import { NetworkDefinition, readNetworkDefinition } from 'generative-bayesian-network';
+
+/**
+ * Reads a network definition bundled with this package from the `data_files` directory.
+ * The parsed definitions are cached, so creating more generators doesn't read the files again.
+ * In browsers and edge runtimes, this module is replaced by `data-files.browser` (see the `browser` field in `package.json`).
+ * @param fileName Name of the file.
+ */
+export function readNetworkDataFile(fileName: string): NetworkDefinition {
+    return readNetworkDefinition(`${__dirname}/data_files/${fileName}`);
+}
+
+/**
+ * Parsed JSON data files, indexed by the file name.
+ */
+const jsonCache = new Map<string, any>();
+
+/**
+ * Reads and parses a JSON file bundled with this package. The parsed contents are cached for the lifetime of the process
+ * and shared by all the generators, so they must not be modified.
+ * @param fileName Name of the file.
+ */
+export function readJsonDataFile(fileName: string): any {
+    if (!jsonCache.has(fileName)) {
+        jsonCache.set(fileName, JSON.parse(readFileSync(`${__dirname}/data_files/${fileName}`, 'utf8')));
+    }
+    return jsonCache.get(fileName);
+}
@@ -1,8 +1,8 @@
-import { readFileSync } from 'fs';
-
-import { BayesianNetwork, utils } from 'generative-bayesian-network';
+import { BayesianNetwork, NetworkDefinition, utils } from 'generative-bayesian-network';
 import ow from 'ow';
 
+import { getAcceptLanguageHeader } from './accept-language';
+import { addClientHintsToOrder, getClientHints, parseClientHintsHeader } from './client-hints';
 import {
     SUPPORTED_BROWSERS,
     BROWSER_HTTP_NODE_NAME,
@@ -12,20 +12,37 @@ import {
     SUPPORTED_OPERATING_SYSTEMS,
     SUPPORTED_DEVICES,
     SUPPORTED_HTTP_VERSIONS,
-    HTTP1_SEC_FETCH_ATTRIBUTES,
-    HTTP2_SEC_FETCH_ATTRIBUTES,
+    SUPPORTED_REQUEST_TYPES,
 } from './constants';
+import { readJsonDataFile, readNetworkDataFile } from './data-files';
+import { applyRequest, getRequestTypeOfMethod, HeadersRequest } from './request-headers';
+import { addPriorityToOrder, applyRequestType, RequestType } from './request-types';
+import { HeaderGeneratorSession } from './session';
 import {
     getBrowser,
+    getBrowserString,
+    getHeaderValue,
     getUserAgent,
     getBrowsersFromQuery,
-    shuffleArray,
 } from './utils';
+import {
+    compareVersions,
+    isValidVersionRange,
+    matchesVersion,
+    parseVersion,
+    satisfiesVersionRange,
+    VERSION_PATTERN,
+} from './versions';
 
 const browserSpecificationShape = {
     name: ow.string,
     minVersion: ow.optional.number,
     maxVersion: ow.optional.number,
+    version: ow.optional.string.validate((range) => ({
+        validator: isValidVersionRange(range),
+        message: (label) => `Expected ${label} to be a version range like \`>=120.0.6099 <121\`, got \`${range}\``,
+    })),
+    excludeVersions: ow.optional.array.ofType(ow.string.matches(VERSION_PATTERN)),
     httpVersion: ow.optional.string,
 };
 
@@ -35,8 +52,11 @@ export const headerGeneratorOptionsShape = {
     devices: ow.optional.array.ofType(ow.string.oneOf(SUPPORTED_DEVICES)),
     locales: ow.optional.array.ofType(ow.string),
     httpVersion: ow.optional.string.oneOf(SUPPORTED_HTTP_VERSIONS),
+    requestType: ow.optional.string.oneOf(SUPPORTED_REQUEST_TYPES),
     browserListQuery: ow.optional.string,
     strict: ow.optional.boolean,
+    seed: ow.optional.number,
+    dataFiles: ow.optional.object,
 };
 
 /**
@@ -73,6 +93,16 @@ export interface BrowserSpecification {
     */
     maxVersion?: number;
     /**
+    * Semver-like range of the browser versions used, e.g. `>=120.0.6099 <121`. The comparators (`<`, `<=`, `>`, `>=` and `=`)
+    * accept versions with up to four parts and a version without an operator matches all the versions starting with it,
+    * so a complete version (e.g. `120.0.6099.109`) pins the exact build. Alternative ranges can be joined with `||`.
+    */
+    version?: string;
+    /**
+    * Browser versions that are not used, e.g. `['120.0.6099.71', '119']` (each matching all the versions starting with it).
+    */
+    excludeVersions?: string[];
+    /**
     * HTTP version to be used for header generation (the headers differ depending on the version).
     * If not specified, the `httpVersion` specified in `HeaderGeneratorOptions` is used.
     */
@@ -87,7 +117,7 @@ export type BrowsersType = (BrowserSpecification | BrowserName)[];
 export interface HeaderGeneratorOptions {
     /**
     * List of BrowserSpecifications to generate the headers for,
-    * or one of `chrome`, `edge`, `firefox` and `safari`.
+    * or one of `chrome`, `edge`, `firefox`, `safari`, `opera`, `brave`, `vivaldi`, `samsung` and `yandex`.
     */
     browsers: BrowsersType;
     /**
@@ -107,7 +137,8 @@ export interface HeaderGeneratorOptions {
     /**
     * List of at most 10 languages to include in the
     *  [Accept-Language](https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Accept-Language) request header
-    *  in the language format accepted by that header, for example `en`, `en-US` or `de`.
+    *  in the language format accepted by that header, for example `en`, `en-US` or `de`, in the order of preference.
+    *  The header is formatted like in the generated browser (e.g. Chromium-based browsers add the base languages).
     */
     locales: string[];
     /**
@@ -115,10 +146,52 @@ export interface HeaderGeneratorOptions {
     *  Can be either 1 or 2. Default value is 2.
     */
     httpVersion: HttpVersion;
+    /**
+     * Type of the request the headers are generated for, e.g. `image` for the headers of an image loaded by a page.
+     * The request type determines the `Accept`, `Sec-Fetch-*`, `Upgrade-Insecure-Requests` and `Priority` headers.
+     * Default value is `navigation`.
+     */
+    requestType?: RequestType;
     /**
      * If true, the generator will throw an error if it cannot generate headers based on the input.
      */
     strict: boolean;
+    /**
+     * Seed for the pseudo-random number generator. Generators constructed with the same seed produce
+     * identical headers when called with the same options in the same order.
+     * Only taken into account when passed to the constructor.
+     */
+    seed?: number;
+    /**
+     * Data files used by the generator, for environments without a file system (browsers, edge runtimes)
+     * or to use custom models. The files that are not provided are read from the `data_files` directory of the package.
+     * Only taken into account when passed to the constructor.
+     */
+    dataFiles?: Partial<HeaderGeneratorDataFiles>;
+}
+
+/**
+ * Data files the header generator is created from.
+ */
+export interface HeaderGeneratorDataFiles {
+    /**
+     * Definition of the network generating the browser, operating system, device and HTTP version.
+     * Either the parsed definition or the contents of `input-network-definition.zip` (or any other format supported by `BayesianNetwork`).
+     * Browsers and edge runtimes only support plain JSON, see the "Browsers and edge runtimes" section of the README.
+     */
+    inputNetworkDefinition: NetworkDefinition | Uint8Array;
+    /**
+     * Definition of the network generating the headers, given the values generated by the input network.
+     */
+    headerNetworkDefinition: NetworkDefinition | Uint8Array;
+    /**
+     * Order of the headers for the individual browsers, the contents of `headers-order.json`.
+     */
+    headersOrder: Record<string, string[]>;
+    /**
+     * List of the browser and HTTP version strings the networks were trained on, the contents of `browser-helper-file.json`.
+     */
+    browserHelperFile: string[];
 }
 
 /**
@@ -145,6 +218,48 @@ export interface HttpBrowserObject {
 
 export type Headers = Record<string, string>;
 
+export const headersRequestShape = {
+    url: ow.string.url,
+    method: ow.optional.string.nonEmpty,
+    referer: ow.optional.string.url,
+    body: ow.optional.any(ow.string, ow.uint8Array, ow.object.instanceOf(URLSearchParams)),
+    initiatorUrl: ow.optional.string.url,
+};
+
+/**
+ * Estimate of the identifying information carried by the generated headers or fingerprint, according to the trained networks.
+ */
+export interface SurprisalReport {
+    /**
+     * Total surprisal in bits, the negative binary logarithm of the probability of all the attributes together.
+     * E.g. a value of 20 means that roughly one in a million (2^20) browsers shares these attributes.
+     */
+    total: number;
+    /**
+     * Surprisal in bits of the individual attributes given the preceding ones, these sum up to the total.
+     */
+    attributes: Record<string, number>;
+}
+
+/**
+ * Browsers based on Chromium, which send the headers in the order of Chrome unless the header orders contain their own.
+ */
+const CHROMIUM_BASED_BROWSERS: BrowserName[] = ['edge', 'opera', 'brave', 'vivaldi', 'samsung', 'yandex'];
+
+/**
+ * First versions of the browsers sending the `Sec-Fetch-*` headers (the Chromium-based browsers since Chromium 76).
+ */
+const SEC_FETCH_MIN_VERSIONS: Partial<Record<BrowserName, number>> = {
+    chrome: 76,
+    firefox: 90,
+    edge: 79,
+    opera: 63,
+    brave: 76,
+    vivaldi: 3,
+    samsung: 12,
+    yandex: 20,
+};
+
 /**
 * Randomly generates realistic HTTP headers based on specified options.
 */
@@ -159,7 +274,9 @@ export class HeaderGenerator {
 
     private uniqueBrowsers: HttpBrowserObject[];
 
-    private headersOrder: string[];
+    private headersOrder: Record<string, string[]>;
+
+    protected random: () => number;
 
     private relaxationOrder: (keyof typeof headerGeneratorOptionsShape)[] = [
         'locales',
@@ -181,8 +298,11 @@ export class HeaderGenerator {
             devices = ['desktop'],
             locales = ['en-US'],
             httpVersion = '2',
+            requestType = 'navigation',
             browserListQuery = '',
             strict = false,
+            seed,
+            dataFiles = {},
         } = options;
         this.globalOptions = {
             browsers: this._prepareBrowsersConfig(browsers as BrowsersType, browserListQuery, httpVersion),
@@ -190,13 +310,26 @@ export class HeaderGenerator {
             devices,
             locales,
             httpVersion,
+            requestType,
             browserListQuery,
             strict,
+            seed,
         };
+        this.random = seed !== undefined ? utils.createSeededRandom(seed) : Math.random;
         this.uniqueBrowsers = [];
 
-        this.headersOrder = JSON.parse(readFileSync(`${__dirname}/data_files/headers-order.json`).toString());
-        const uniqueBrowserStrings = JSON.parse(readFileSync(`${__dirname}/data_files/browser-helper-file.json`, 'utf8').toString());
+        const {
+            inputNetworkDefinition = readNetworkDataFile('input-network-definition.zip'),
+            headerNetworkDefinition = readNetworkDataFile('header-network-definition.zip'),
+            headersOrder = readJsonDataFile('headers-order.json'),
+            browserHelperFile: uniqueBrowserStrings = readJsonDataFile('browser-helper-file.json'),
+        } = dataFiles;
+
+        // The collected orders don't contain the headers added by the generator, see `addClientHintsToOrder` and `addPriorityToOrder`.
+        this.headersOrder = Object.fromEntries(Object.entries(headersOrder as Record<string, string[]>).map(([browser, order]) => [
+            browser,
+            addPriorityToOrder(addClientHintsToOrder(order), browser),
+        ]));
 
         for (const browserString of uniqueBrowserStrings) {
             // There are headers without user agents in the datasets we used to configure the generator. They should be disregarded.
@@ -205,8 +338,8 @@ export class HeaderGenerator {
             }
         }
 
-        this.inputGeneratorNetwork = new BayesianNetwork({ path: `${__dirname}/data_files/input-network-definition.zip` });
-        this.headerGeneratorNetwork = new BayesianNetwork({ path: `${__dirname}/data_files/header-network-definition.zip` });
+        this.inputGeneratorNetwork = new BayesianNetwork({ definition: inputNetworkDefinition, random: this.random });
+        this.headerGeneratorNetwork = new BayesianNetwork({ definition: headerNetworkDefinition, random: this.random });
     }
 
     /**
@@ -216,6 +349,23 @@ export class HeaderGenerator {
     * @param requestDependentHeaders Specifies known values of headers dependent on the particular request.
     */
     getHeaders(options: Partial<HeaderGeneratorOptions> = {}, requestDependentHeaders: Headers = {}, userAgentValues?: string[]): Headers {
+        return this.generateHeaders(1, options, requestDependentHeaders, userAgentValues)[0];
+    }
+
+    /**
+    * Generates the given number of sets of ordered headers (possibly with duplicates), see `getHeaders`.
+    * The input samples are drawn together by `BayesianNetwork.generateSamples`, so the constraints are resolved only once.
+    * @param count Number of the sets of headers to generate.
+    * @param options Specifies options that should be overridden for this one call.
+    * @param requestDependentHeaders Specifies known values of headers dependent on the particular request.
+    * @param userAgentValues User agents the generated headers are restricted to.
+    */
+    protected generateHeaders(
+        count: number,
+        options: Partial<HeaderGeneratorOptions> = {},
+        requestDependentHeaders: Headers = {},
+        userAgentValues?: string[],
+    ): Headers[] {
         ow(options, 'HeaderGeneratorOptions', ow.object.partialShape(headerGeneratorOptionsShape));
         const headerOptions = { ...this.globalOptions, ...options };
         const possibleAttributeValues = this._getPossibleAttributeValues(headerOptions);
@@ -225,24 +375,25 @@ export class HeaderGenerator {
             utils.getPossibleValues(this.headerGeneratorNetwork, { 'user-agent': userAgentValues }),
         ] : [null, null];
 
-        // Generate a sample of input attributes consistent with the data used to create the definition files if possible.
-        const inputSample = this.inputGeneratorNetwork.generateConsistentSampleWhenPossible(
-            Object.entries(possibleAttributeValues).reduce((acc, [key, value]) => {
+        // Generate samples of input attributes consistent with the data used to create the definition files if possible.
+        const inputSamples: Record<string, string>[] = this.inputGeneratorNetwork.generateSamples(count, {
+            constraints: Object.entries(possibleAttributeValues).reduce((acc, [key, value]) => {
                 if (key === '*BROWSER_HTTP') {
                     acc[key] = value.filter((x: string) => {
                         const [browserName, httpVersion] = x.split('|');
-                        return (httpVersion === '1' ? http1Values : http2Values)?.['*BROWSER'].includes(browserName) ?? true;
+                        return (httpVersion === '1' ? http1Values : http2Values)?.['*BROWSER']?.includes(browserName) ?? true;
                     });
                     return acc;
                 }
                 acc[key] = value.filter((x: string) => (http1Values?.[key]?.includes(x) || http2Values?.[key]?.includes(x)) ?? true);
                 return acc;
-            }, {} as typeof possibleAttributeValues));
+            }, {} as typeof possibleAttributeValues),
+        });
 
-        if (Object.keys(inputSample).length === 0) {
+        if (count > 0 && inputSamples.length === 0) {
             // Try to convert HTTP/2 headers to HTTP/1 headers
             if (headerOptions.httpVersion === '1') {
-                const headers2 = this.getHeaders({
+                const headers2 = this.generateHeaders(count, {
                     ...options,
                     httpVersion: '2',
                 }, requestDependentHeaders, userAgentValues);
@@ -253,19 +404,21 @@ export class HeaderGenerator {
                     }).join('-');
                 };
 
-                const converted2to1 = Object.fromEntries(
-                    Object.entries(headers2).map(([name, value]) => {
-                        if (name.startsWith('sec-ch-ua')) {
-                            return [name, value];
-                        }
-                        if (['dnt', 'rtt', 'ect'].includes(name)) {
-                            return [name.toUpperCase(), value];
-                        }
-                        return [pascalize(name), value];
-                    },
-                    ));
-
-                return this.orderHeaders(converted2to1);
+                return headers2.map((headers) => {
+                    const converted2to1 = Object.fromEntries(
+                        Object.entries(headers).map(([name, value]) => {
+                            if (name.startsWith('sec-ch-ua')) {
+                                return [name, value];
+                            }
+                            if (['dnt', 'rtt', 'ect'].includes(name)) {
+                                return [name.toUpperCase(), value];
+                            }
+                            return [pascalize(name), value];
+                        },
+                        ));
+
+                    return this.orderHeaders(converted2to1);
+                });
             }
 
             const relaxationIndex = this.relaxationOrder.findIndex((key) => options[key] !== undefined);
@@ -277,49 +430,169 @@ export class HeaderGenerator {
             const relaxedOptions = { ...options };
             const relaxationKey = this.relaxationOrder[relaxationIndex];
             delete relaxedOptions[relaxationKey];
-            return this.getHeaders(relaxedOptions, requestDependentHeaders, userAgentValues);
+            return this.generateHeaders(count, relaxedOptions, requestDependentHeaders, userAgentValues);
         }
 
-        // Generate the actual headers
-        const generatedSample = this.headerGeneratorNetwork.generateSample(inputSample);
+        return inputSamples.map((inputSample) => {
+            // Generate the actual headers
+            const generatedSample = this.headerGeneratorNetwork.generateSample(inputSample);
 
-        // Manually fill the accept-language header with random ordering of the locales from input
-        const generatedHttpAndBrowser = this.prepareHttpBrowserObject(generatedSample[BROWSER_HTTP_NODE_NAME]);
-        let secFetchAttributeNames: typeof HTTP2_SEC_FETCH_ATTRIBUTES | typeof HTTP1_SEC_FETCH_ATTRIBUTES = HTTP2_SEC_FETCH_ATTRIBUTES;
-        let acceptLanguageFieldName = 'accept-language';
-        if (generatedHttpAndBrowser.httpVersion !== '2') {
-            acceptLanguageFieldName = 'Accept-Language';
-            secFetchAttributeNames = HTTP1_SEC_FETCH_ATTRIBUTES;
-        }
+            // Manually fill the accept-language header with the locales from input, formatted the way the generated browser does
+            const generatedHttpAndBrowser = this.prepareHttpBrowserObject(generatedSample[BROWSER_HTTP_NODE_NAME]);
+            let acceptLanguageFieldName = 'accept-language';
+            if (generatedHttpAndBrowser.httpVersion !== '2') {
+                acceptLanguageFieldName = 'Accept-Language';
+            }
+
+            generatedSample[acceptLanguageFieldName] = getAcceptLanguageHeader(headerOptions.locales, generatedHttpAndBrowser.name);
+
+            const secFetchMinVersion = SEC_FETCH_MIN_VERSIONS[generatedHttpAndBrowser.name as BrowserName];
+            const hasSecFetch = secFetchMinVersion !== undefined && generatedHttpAndBrowser.version[0] >= secFetchMinVersion;
+
+            for (const attribute of Object.keys(generatedSample)) {
+                if (attribute.toLowerCase() === 'connection' && generatedSample[attribute] === 'close') delete generatedSample[attribute];
+                if (attribute.startsWith('*') || generatedSample[attribute] === MISSING_VALUE_DATASET_TOKEN) delete generatedSample[attribute];
+            }
+
+            // Add fixed headers if needed
+            const requestTypeSample = applyRequestType(generatedSample, headerOptions.requestType ?? 'navigation', generatedHttpAndBrowser, hasSecFetch);
+
+            // Order the headers in an order depending on the browser
+            return this.orderHeaders({
+                ...requestTypeSample,
+                ...requestDependentHeaders,
+            }, this.getHeadersOrder(generatedHttpAndBrowser.name));
+        });
+    }
 
-        generatedSample[acceptLanguageFieldName] = this._getAcceptLanguageField(headerOptions.locales);
+    /**
+    * Generates a set of ordered headers for a concrete request. Besides the headers generated by `getHeaders`,
+    * the `Host` (HTTP/1 only), `Origin`, `Referer`, `Content-Type` and `Content-Length` headers are computed from the request
+    * and the `Sec-Fetch-Site` header is set according to the relation between the requested and the initiating URL.
+    * Requests with other methods than `GET` and `HEAD` are considered to be form submissions, unless a subresource `requestType` is specified.
+    * @param request Description of the request.
+    * @param options Specifies options that should be overridden for this one call.
+    */
+    getHeadersForRequest(request: HeadersRequest, options: Partial<HeaderGeneratorOptions> = {}): Headers {
+        ow(request, 'HeadersRequest', ow.object.exactShape(headersRequestShape));
+        const requestType = getRequestTypeOfMethod(request.method, options.requestType ?? this.globalOptions.requestType);
+        const headers = this.getHeaders({ ...options, requestType });
 
-        const isChrome = generatedHttpAndBrowser.name === 'chrome';
-        const isFirefox = generatedHttpAndBrowser.name === 'firefox';
-        const isEdge = generatedHttpAndBrowser.name === 'edge';
+        return this.orderHeaders(applyRequest(headers, request, requestType));
+    }
 
-        const hasSecFetch = (isChrome && generatedHttpAndBrowser.version[0] >= 76)
-        || (isFirefox && generatedHttpAndBrowser.version[0] >= 90)
-        || (isEdge && generatedHttpAndBrowser.version[0] >= 79);
+    /**
+    * Creates a session with a single browser identity for many requests. The user agent, client hints, `Accept-Language`,
+    * `Accept-Encoding` and the order of the headers stay the same, while the headers depending on the request
+    * are generated for every request using `session.getHeaders(request, requestType)`.
+    * @param options Specifies options that should be overridden for the session.
+    * @param userAgentData High-entropy values of the `navigator.userAgentData` used for the client hints requested by the servers,
+    * see `getClientHintsHeaders`.
+    */
+    createSession(options: Partial<HeaderGeneratorOptions> = {}, userAgentData?: Record<string, any>): HeaderGeneratorSession {
+        const headers = this.getHeaders({ ...options, requestType: 'navigation' });
+        const httpVersion = 'user-agent' in headers ? '2' : '1';
+        const browser = this.prepareHttpBrowserObject(`${getBrowserString(getUserAgent(headers))}|${httpVersion}`);
+        return new HeaderGeneratorSession(this, headers, browser, userAgentData);
+    }
 
-        // Add fixed headers if needed
-        if (hasSecFetch) {
-            generatedSample[secFetchAttributeNames.site] = 'same-site';
-            generatedSample[secFetchAttributeNames.mode] = 'navigate';
-            generatedSample[secFetchAttributeNames.user] = '?1';
-            generatedSample[secFetchAttributeNames.dest] = 'document';
+    /**
+    * Generates the headers of the follow-up requests to a server that asked for more client hints in the `Accept-CH` response header,
+    * e.g. `sec-ch-ua-full-version-list`, `sec-ch-ua-arch` or `sec-ch-ua-platform-version`. The headers of browsers not supporting
+    * the user agent client hints are returned unchanged.
+    * @param headers Headers of the previous request, generated by `getHeaders`.
+    * @param responseHeaders Headers of the server response, containing the `Accept-CH` header.
+    * @param userAgentData High-entropy values of the `navigator.userAgentData` (e.g. `fingerprint.navigator.userAgentData`
+    * of a fingerprint generated together with the headers). If not provided, they are approximated from the headers.
+    */
+    getClientHintsHeaders(headers: Headers, responseHeaders: Headers, userAgentData?: Record<string, any>): Headers {
+        const clientHints = getClientHints(headers, parseClientHintsHeader(getHeaderValue(responseHeaders, 'accept-ch')), userAgentData);
+        return this.orderHeaders({ ...clientHints, ...headers });
+    }
+
+    /**
+    * Checks whether a browser would retry the request with more client hints, because the server marked
+    * some of the client hints missing in the request as critical in the `Critical-CH` response header.
+    * @param headers Headers of the request, generated by `getHeaders`.
+    * @param responseHeaders Headers of the server response, containing the `Accept-CH` and `Critical-CH` headers.
+    */
+    isClientHintsRetryNeeded(headers: Headers, responseHeaders: Headers): boolean {
+        // The browsers ignore the critical hints that are not requested in `Accept-CH`.
+        const acceptedHints = parseClientHintsHeader(getHeaderValue(responseHeaders, 'accept-ch'));
+        const criticalHints = parseClientHintsHeader(getHeaderValue(responseHeaders, 'critical-ch')).filter((hint) => acceptedHints.includes(hint));
+        return Object.keys(getClientHints(headers, criticalHints)).some((hint) => !(hint in headers));
+    }
+
+    /**
+    * Generates multiple distinct sets of ordered headers, see `getHeaders`. The duplicates are discarded and generated again,
+    * so the popular configurations are not repeated. If not enough distinct sets of headers can be generated
+    * within `10 * count` attempts, fewer sets are returned (or an error is thrown with the `strict` option).
+    * @param count Number of the sets of headers to generate.
+    * @param options Specifies options that should be overridden for this one call.
+    * @param requestDependentHeaders Specifies known values of headers dependent on the particular request.
+    */
+    getHeadersBatch(count: number, options: Partial<HeaderGeneratorOptions> = {}, requestDependentHeaders: Headers = {}): Headers[] {
+        return this.generateUniqueBatch(
+            count,
+            (remaining) => this.generateHeaders(remaining, options, requestDependentHeaders),
+            options.strict ?? this.globalOptions.strict,
+        );
+    }
+
+    /**
+    * Estimates how many bits of identifying information the headers carry according to the header network.
+    * The request dependent headers (and any other headers not generated by the network) are not taken into account.
+    * Headers that could not have been generated by the network have an infinite surprisal.
+    * @param headers Headers generated by `getHeaders`.
+    */
+    getHeadersSurprisal(headers: Headers): SurprisalReport {
+        const sample: Record<string, string> = {};
+        for (const { name } of this.headerGeneratorNetwork.toJSON().nodes) {
+            if (name in headers) {
+                sample[name] = headers[name];
+            } else if (!name.startsWith('*') && name.toLowerCase() !== 'connection') {
+                // The generator leaves out the missing headers, as well as the `Connection: close` header.
+                sample[name] = MISSING_VALUE_DATASET_TOKEN;
+            }
         }
 
-        for (const attribute of Object.keys(generatedSample)) {
-            if (attribute.toLowerCase() === 'connection' && generatedSample[attribute] === 'close') delete generatedSample[attribute];
-            if (attribute.startsWith('*') || generatedSample[attribute] === MISSING_VALUE_DATASET_TOKEN) delete generatedSample[attribute];
+        const attributes: Record<string, number> = this.headerGeneratorNetwork.getSurprisal(sample);
+        return {
+            total: Object.values(attributes).reduce((acc, surprisal) => acc + surprisal, 0),
+            attributes,
+        };
+    }
+
+    /**
+    * Calls the generator function for the missing results until the given number of distinct results is generated
+    * or `10 * count` results are requested in total.
+    * @param count Number of the results.
+    * @param generate Function generating the given number of results, possibly with duplicates or fewer results.
+    * @param strict Whether to throw an error if not enough distinct results are generated.
+    */
+    protected generateUniqueBatch<T>(count: number, generate: (count: number) => T[], strict: boolean): T[] {
+        ow(count, 'count', ow.number.integer.greaterThanOrEqual(0));
+        const results: T[] = [];
+        const seenResults = new Set<string>();
+
+        for (let attempts = 0; attempts < 10 * count && results.length < count;) {
+            const attemptCount = Math.min(count - results.length, 10 * count - attempts);
+            attempts += attemptCount;
+
+            for (const result of generate(attemptCount)) {
+                const key = JSON.stringify(result);
+                if (!seenResults.has(key) && results.length < count) {
+                    seenResults.add(key);
+                    results.push(result);
+                }
+            }
         }
 
-        // Order the headers in an order depending on the browser
-        return this.orderHeaders({
-            ...generatedSample,
-            ...requestDependentHeaders,
-        }, (this.headersOrder as Record<string, any>)[generatedHttpAndBrowser.name]);
+        if (strict && results.length < count) {
+            throw new Error(`Only ${results.length} out of ${count} distinct results can be generated. `
+                + 'Please relax or change some of the requirements you specified.');
+        }
+        return results;
     }
 
     /**
@@ -371,8 +644,7 @@ export class HeaderGenerator {
         for (const browser of browsers) {
             for (const browserOption of this.uniqueBrowsers) {
                 if (browser.name === browserOption.name) {
-                    if ((!browser.minVersion || this._browserVersionIsLesserOrEquals([browser.minVersion], browserOption.version))
-                        && (!browser.maxVersion || this._browserVersionIsLesserOrEquals(browserOption.version, [browser.maxVersion]))
+                    if (this._browserVersionMatches(browser, browserOption.version)
                         && browser.httpVersion === browserOption.httpVersion) {
                         browserHttpOptions.push(browserOption.completeString);
                     }
@@ -402,50 +674,6 @@ export class HeaderGenerator {
         return possibleAttributeValues;
     }
 
-    private _getAcceptLanguageField(localesFromOptions: HeaderGeneratorOptions['locales']): string {
-        let locales = localesFromOptions;
-        let highLevelLocales = [];
-        for (const locale of locales) {
-            if (!locale.includes('-')) {
-                highLevelLocales.push(locale);
-            }
-        }
-
-        for (const locale of locales) {
-            if (!highLevelLocales.includes(locale)) {
-                let highLevelEquivalentPresent = false;
-                for (const highLevelLocale of highLevelLocales) {
-                    if (locale.includes(highLevelLocale)) {
-                        highLevelEquivalentPresent = true;
-                        break;
-                    }
-                }
-                if (!highLevelEquivalentPresent) highLevelLocales.push(locale);
-            }
-        }
-
-        highLevelLocales = shuffleArray(highLevelLocales);
-        locales = shuffleArray(locales);
-
-        const localesInAddingOrder = [];
-
-        for (const highLevelLocale of highLevelLocales) {
-            for (const locale of locales) {
-                if (locale.includes(highLevelLocale) && !highLevelLocales.includes(locale)) {
-                    localesInAddingOrder.push(locale);
-                }
-            }
-            localesInAddingOrder.push(highLevelLocale);
-        }
-
-        let acceptLanguageFieldValue = localesInAddingOrder[0];
-
-        for (let x = 1; x < localesInAddingOrder.length; x++) {
-            acceptLanguageFieldValue += `,${localesInAddingOrder[x]};q=${1 - x * 0.1}`;
-        }
-        return acceptLanguageFieldValue;
-    }
-
     /**
     * Extract structured information about a browser and http version in the form of an object from httpBrowserString.
     * @param httpBrowserString A string containing the browser name, version and http version, such as `chrome/88.0.4324.182|2`.
@@ -499,10 +727,27 @@ export class HeaderGenerator {
             return [];
         }
 
-        return (this.headersOrder as Record<string, any>)[browser] ?? [];
+        return this.getHeadersOrder(browser);
+    }
+
+    /**
+     * Returns the order of the headers in the given browser. The Chromium-based browsers without their own order
+     * in `headers-order.json` send the headers in the same order as Chrome.
+     * @param browser Name of the browser.
+     */
+    private getHeadersOrder(browser: string): string[] {
+        const order = this.headersOrder[browser];
+        if (!order?.length && CHROMIUM_BASED_BROWSERS.includes(browser as BrowserName)) {
+            return this.headersOrder.chrome ?? [];
+        }
+        return order ?? [];
     }
 
-    private _browserVersionIsLesserOrEquals(browserVersionL: number[], browserVersionR: number[]) {
-        return browserVersionL[0] <= browserVersionR[0];
+    private _browserVersionMatches(browser: BrowserSpecification, version: number[]) {
+        // The integer bounds stand for all the builds of the major version, so `maxVersion: 120` includes `120.0.6099.109`.
+        return (!browser.minVersion || compareVersions([browser.minVersion], version) <= 0)
+            && (!browser.maxVersion || compareVersions(version, [browser.maxVersion]) <= 0 || matchesVersion(version, [browser.maxVersion]))
+            && (!browser.version || satisfiesVersionRange(version, browser.version))
+            && !browser.excludeVersions?.some((excludedVersion) => matchesVersion(version, parseVersion(excludedVersion)));
     }
 }
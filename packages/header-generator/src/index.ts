@@ -1,2 +1,5 @@
 export * from './header-generator';
 export * as PRESETS from './presets';
+export type { RequestType } from './request-types';
+export type { HeadersRequest } from './request-headers';
+export * from './session';
@@ -57,3 +57,26 @@ export const MODERN_ANDROID = {
     operatingSystems: ['android'],
 
 };
+
+export const MODERN_ANDROID_SAMSUNG = {
+    browserListQuery: 'last 5 samsung versions',
+    devices: ['mobile'],
+    operatingSystems: ['android'],
+};
+
+export const MODERN_OPERA = {
+    browserListQuery: 'last 5 opera versions',
+};
+
+// Brave, Vivaldi and Yandex Browser are not covered by the browserslist data.
+export const MODERN_BRAVE = {
+    browsers: ['brave'],
+};
+
+export const MODERN_VIVALDI = {
+    browsers: ['vivaldi'],
+};
+
+export const MODERN_YANDEX = {
+    browsers: ['yandex'],
+};
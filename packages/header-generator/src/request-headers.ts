@@ -0,0 +1,156 @@
+import { HTTP1_SEC_FETCH_ATTRIBUTES, HTTP2_SEC_FETCH_ATTRIBUTES } from './constants';
+import type { Headers } from './header-generator';
+import type { RequestType } from './request-types';
+
+/**
+ * Description of a concrete request the headers are generated for, see `HeaderGenerator.getHeadersForRequest`.
+ */
+export interface HeadersRequest {
+    /**
+     * Absolute URL of the requested resource.
+     */
+    url: string;
+    /**
+     * HTTP method of the request. Default value is `GET`.
+     */
+    method?: string;
+    /**
+     * URL of the page that referred to the resource. The `Referer` header is derived from it
+     * according to the default referrer policy (`strict-origin-when-cross-origin`). Defaults to `initiatorUrl`.
+     */
+    referer?: string;
+    /**
+     * Body of the request, determines the `Content-Type` and `Content-Length` headers.
+     */
+    body?: string | Uint8Array | URLSearchParams;
+    /**
+     * URL of the page that initiated the request, determines the `Sec-Fetch-Site` and `Origin` headers.
+     * Defaults to `referer`. Without both, the request is considered to be initiated by the user (e.g. by typing the URL).
+     */
+    initiatorUrl?: string;
+}
+
+/**
+ * Second-level labels of the common country-code public suffixes (e.g. `co.uk`), used to approximate the registrable domains.
+ */
+const COUNTRY_SECOND_LEVEL_LABELS = ['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'or', 'ne', 'go'];
+
+/**
+ * Returns the origin of the URL, treating the WebSocket schemes as their HTTP counterparts.
+ * @param url Absolute URL.
+ */
+function getOrigin(url: URL): string {
+    return `${url.protocol.replace(/^ws/, 'http')}//${url.host}`;
+}
+
+/**
+ * Returns the scheme and the registrable domain ("site") of the URL. Without the public suffix list,
+ * the registrable domain is approximated by the last two labels of the host (three for the common country-code suffixes).
+ * @param url Absolute URL.
+ */
+function getSite(url: URL): string {
+    const scheme = url.protocol.replace(/^ws/, 'http');
+    const labels = url.hostname.split('.');
+    if (labels.length <= 2 || /^[\d.]+$|^\[/.test(url.hostname)) return `${scheme}//${url.hostname}`;
+
+    const isCountrySuffix = labels[labels.length - 1].length === 2 && COUNTRY_SECOND_LEVEL_LABELS.includes(labels[labels.length - 2]);
+    return `${scheme}//${labels.slice(isCountrySuffix ? -3 : -2).join('.')}`;
+}
+
+/**
+ * Returns the value of the `Sec-Fetch-Site` header of a request from the initiator to the URL.
+ * @param url URL of the request.
+ * @param initiatorUrl URL of the page initiating the request, undefined for requests initiated by the user.
+ */
+export function getFetchSite(url: URL, initiatorUrl?: URL): string {
+    if (!initiatorUrl) return 'none';
+    if (getOrigin(url) === getOrigin(initiatorUrl)) return 'same-origin';
+    return getSite(url) === getSite(initiatorUrl) ? 'same-site' : 'cross-site';
+}
+
+/**
+ * Returns the value of the `Referer` header according to the `strict-origin-when-cross-origin` referrer policy,
+ * or undefined if no `Referer` header is sent.
+ * @param url URL of the request.
+ * @param referer URL of the referring page.
+ */
+export function getReferer(url: URL, referer?: URL): string | undefined {
+    if (!referer || !['http:', 'https:'].includes(referer.protocol)) return undefined;
+    // Downgrades from HTTPS to an insecure scheme are not sent the referrer.
+    if (referer.protocol === 'https:' && ['http:', 'ws:'].includes(url.protocol)) return undefined;
+    if (getOrigin(url) !== getOrigin(referer)) return `${referer.origin}/`;
+
+    const fullReferer = new URL(referer.href);
+    fullReferer.hash = '';
+    fullReferer.username = '';
+    fullReferer.password = '';
+    return fullReferer.href;
+}
+
+/**
+ * Returns the `Content-Type` and `Content-Length` headers of the request body, as set by the browsers.
+ * @param body Body of the request.
+ * @param isForm Whether the request is a form submission.
+ */
+export function getBodyHeaders(body: HeadersRequest['body'], isForm: boolean): { contentType?: string; contentLength: string } {
+    if (body === undefined) return { contentLength: '0' };
+    if (body instanceof Uint8Array) return { contentLength: String(body.byteLength) };
+
+    const contentLength = String(new TextEncoder().encode(body.toString()).byteLength);
+    if (isForm) return { contentType: 'application/x-www-form-urlencoded', contentLength };
+    if (body instanceof URLSearchParams) return { contentType: 'application/x-www-form-urlencoded;charset=UTF-8', contentLength };
+    return { contentType: 'text/plain;charset=UTF-8', contentLength };
+}
+
+/**
+ * Returns the type of the request with the given method. Requests with other methods than `GET` and `HEAD`
+ * are considered to be form submissions, unless a subresource request type is specified.
+ * @param method HTTP method of the request.
+ * @param requestType Type of the request, if known.
+ */
+export function getRequestTypeOfMethod(method = 'GET', requestType: RequestType = 'navigation'): RequestType {
+    const hasBody = !['GET', 'HEAD'].includes(method.toUpperCase());
+    return hasBody && requestType === 'navigation' ? 'form' : requestType;
+}
+
+/**
+ * Returns the headers completed with the `Host` (HTTP/1 only), `Origin`, `Referer`, `Content-Type` and `Content-Length` headers
+ * of the request and with the `Sec-Fetch-Site` header matching the request. The passed headers are not modified.
+ * @param headers Headers generated for the type of the request.
+ * @param request Description of the request.
+ * @param requestType Type of the request.
+ */
+export function applyRequest(headers: Headers, request: HeadersRequest, requestType: RequestType): Headers {
+    const hasBody = !['GET', 'HEAD'].includes((request.method ?? 'GET').toUpperCase());
+    const url = new URL(request.url);
+    const refererUrl = request.referer ?? request.initiatorUrl;
+    const initiatorUrl = request.initiatorUrl ?? request.referer;
+    const initiator = initiatorUrl !== undefined ? new URL(initiatorUrl) : undefined;
+    const fetchSite = getFetchSite(url, initiator);
+
+    const isHttp2 = 'user-agent' in headers;
+    const fieldName = (name: string) => (isHttp2 ? name.toLowerCase() : name);
+
+    const requestHeaders: Headers = {};
+    if (!isHttp2) requestHeaders.Host = url.host;
+
+    // The `Origin` header is sent with the requests that can change data, the CORS requests and the WebSocket handshakes.
+    const isCrossOrigin = fetchSite !== 'same-origin';
+    if (initiator && (hasBody || requestType === 'websocket' || (isCrossOrigin && ['fetch', 'xhr', 'font'].includes(requestType)))) {
+        requestHeaders[fieldName('Origin')] = initiator.origin;
+    }
+
+    const referer = getReferer(url, refererUrl !== undefined ? new URL(refererUrl) : undefined);
+    if (referer) requestHeaders[fieldName('Referer')] = referer;
+
+    if (hasBody) {
+        const { contentType, contentLength } = getBodyHeaders(request.body, requestType === 'form');
+        if (contentType) requestHeaders[fieldName('Content-Type')] = contentType;
+        requestHeaders[fieldName('Content-Length')] = contentLength;
+    }
+
+    const siteFieldName = isHttp2 ? HTTP2_SEC_FETCH_ATTRIBUTES.site : HTTP1_SEC_FETCH_ATTRIBUTES.site;
+    if (siteFieldName in headers) requestHeaders[siteFieldName] = fetchSite;
+
+    return { ...headers, ...requestHeaders };
+}
@@ -0,0 +1,202 @@
+import { HTTP1_SEC_FETCH_ATTRIBUTES, HTTP2_SEC_FETCH_ATTRIBUTES, SUPPORTED_REQUEST_TYPES } from './constants';
+import type { BrowserName, Headers, HttpBrowserObject } from './header-generator';
+
+/**
+ * String specifying the type of the request the headers are generated for.
+ * `navigation` is a top-level page load, `form` a submission of a form with the POST method.
+ */
+export type RequestType = typeof SUPPORTED_REQUEST_TYPES[number];
+
+/**
+ * Headers depending on the type of the request, see `getRequestTypeHeaders`.
+ */
+export interface RequestTypeHeaders {
+    /**
+     * Value of the `Accept` header. Undefined for the document requests, which keep the generated `Accept` header,
+     * and null if the header is not sent at all.
+     */
+    accept?: string | null;
+    /**
+     * Values of the `Sec-Fetch-*` headers, `user` is only sent with the navigations triggered by the user.
+     */
+    secFetch: { site: string; mode: string; dest: string; user?: string };
+    /**
+     * Whether the `Upgrade-Insecure-Requests` header is sent (only with the document requests).
+     */
+    upgradeInsecureRequests: boolean;
+    /**
+     * Value of the `Priority` header, undefined if the browser doesn't send it.
+     */
+    priority?: string;
+}
+
+type BrowserFamily = 'chromium' | 'firefox' | 'safari';
+
+/**
+ * Returns the family of the browser, the browsers other than Firefox and Safari are based on Chromium.
+ * @param browserName Name of the browser.
+ */
+function getBrowserFamily(browserName: string): BrowserFamily {
+    return browserName === 'firefox' || browserName === 'safari' ? browserName : 'chromium';
+}
+
+/**
+ * Fetch metadata of the request types. The document requests keep the `Accept` header generated by the network.
+ */
+const REQUEST_TYPES: Record<RequestType, { site: string; mode: string; dest: string; isUserNavigation?: boolean; isDocument?: boolean }> = {
+    navigation: { site: 'same-site', mode: 'navigate', dest: 'document', isUserNavigation: true, isDocument: true },
+    iframe: { site: 'same-origin', mode: 'navigate', dest: 'iframe', isDocument: true },
+    form: { site: 'same-origin', mode: 'navigate', dest: 'document', isUserNavigation: true, isDocument: true },
+    fetch: { site: 'same-origin', mode: 'cors', dest: 'empty' },
+    xhr: { site: 'same-origin', mode: 'cors', dest: 'empty' },
+    script: { site: 'same-origin', mode: 'no-cors', dest: 'script' },
+    style: { site: 'same-origin', mode: 'no-cors', dest: 'style' },
+    image: { site: 'same-origin', mode: 'no-cors', dest: 'image' },
+    font: { site: 'same-origin', mode: 'cors', dest: 'font' },
+    websocket: { site: 'same-origin', mode: 'websocket', dest: 'websocket' },
+};
+
+/**
+ * `Accept` headers of the subresource requests.
+ */
+const ACCEPT_HEADERS: Record<BrowserFamily, Partial<Record<RequestType, string | null>>> = {
+    chromium: {
+        image: 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
+        style: 'text/css,*/*;q=0.1',
+        font: '*/*',
+    },
+    firefox: {
+        image: 'image/avif,image/webp,image/png,image/svg+xml,image/*;q=0.8,*/*;q=0.5',
+        style: 'text/css,*/*;q=0.1',
+        font: 'application/font-woff2;q=1.0,application/font-woff;q=0.9,*/*;q=0.8',
+    },
+    safari: {
+        image: 'image/webp,image/avif,image/jxl,image/heic,image/heic-sequence,video/*;q=0.8,image/png,image/svg+xml,image/*;q=0.8,*/*;q=0.5',
+        style: 'text/css,*/*;q=0.1',
+        font: '*/*',
+    },
+};
+
+/**
+ * Values of the `Priority` header (RFC 9218), the browser versions that started sending it
+ * (the Chromium-based browsers since Chromium 124) and the header it is sent before (the last header if not set).
+ */
+const PRIORITY_HEADERS: Partial<Record<BrowserFamily, {
+    minVersions: Partial<Record<BrowserName, number>>;
+    values: Partial<Record<RequestType, string>>;
+    nextHeader?: string;
+}>> = {
+    chromium: {
+        minVersions: { chrome: 124, edge: 124, brave: 124, opera: 110, vivaldi: 7, samsung: 27, yandex: 25 },
+        values: {
+            navigation: 'u=0, i',
+            iframe: 'u=0, i',
+            form: 'u=0, i',
+            fetch: 'u=1, i',
+            xhr: 'u=1, i',
+            script: 'u=1',
+            style: 'u=0',
+            image: 'i',
+            font: 'u=0',
+        },
+    },
+    firefox: {
+        minVersions: { firefox: 128 },
+        nextHeader: 'te',
+        values: {
+            navigation: 'u=0, i',
+            iframe: 'u=4, i',
+            form: 'u=0, i',
+            fetch: 'u=4',
+            xhr: 'u=4',
+            script: 'u=2',
+            style: 'u=2',
+            image: 'u=5, i',
+            font: 'u=3',
+        },
+    },
+};
+
+/**
+ * Returns the values of the headers that depend on the type of the request for the given browser.
+ * @param requestType Type of the request.
+ * @param browser Browser the headers are generated for.
+ */
+export function getRequestTypeHeaders(requestType: RequestType, browser: HttpBrowserObject): RequestTypeHeaders {
+    const { isUserNavigation, isDocument, ...secFetch } = REQUEST_TYPES[requestType];
+    const family = getBrowserFamily(browser.name);
+
+    const headers: RequestTypeHeaders = {
+        secFetch: { ...secFetch },
+        upgradeInsecureRequests: !!isDocument,
+    };
+    if (isUserNavigation) headers.secFetch.user = '?1';
+    // Firefox doesn't use the `websocket` destination.
+    if (requestType === 'websocket' && family === 'firefox') headers.secFetch.dest = 'empty';
+
+    if (requestType === 'websocket') {
+        headers.accept = null;
+    } else if (!isDocument) {
+        headers.accept = ACCEPT_HEADERS[family][requestType] ?? '*/*';
+        // Older versions of Firefox didn't list the image formats they support.
+        if (requestType === 'image' && family === 'firefox' && browser.version[0] < 128) headers.accept = 'image/avif,image/webp,*/*';
+    }
+
+    const priority = PRIORITY_HEADERS[family];
+    const priorityMinVersion = priority?.minVersions[browser.name as BrowserName];
+    if (priorityMinVersion !== undefined && browser.version[0] >= priorityMinVersion) headers.priority = priority!.values[requestType];
+
+    return headers;
+}
+
+/**
+ * Adds the `Priority` header to a header order collected by the `header-order-collector`, which doesn't see it.
+ * Orders that already contain it and the empty orders are returned unchanged.
+ * @param order Header names in the order of a browser.
+ * @param browserName Name of the browser.
+ */
+export function addPriorityToOrder(order: string[], browserName: string): string[] {
+    const priority = PRIORITY_HEADERS[getBrowserFamily(browserName)];
+    if (!priority || order.length === 0 || order.includes('priority')) return order;
+
+    const index = priority.nextHeader ? order.indexOf(priority.nextHeader) : -1;
+    return index === -1 ? [...order, 'priority'] : [...order.slice(0, index), 'priority', ...order.slice(index)];
+}
+
+/**
+ * Returns the headers changed according to the type of the request. The passed headers are not modified.
+ * @param headers Headers of a navigation request.
+ * @param requestType Type of the request.
+ * @param browser Browser the headers are generated for.
+ * @param hasSecFetch Whether the browser sends the `Sec-Fetch-*` headers. By default, this is inferred from the headers.
+ */
+export function applyRequestType(
+    headers: Headers,
+    requestType: RequestType,
+    browser: HttpBrowserObject,
+    hasSecFetch = HTTP1_SEC_FETCH_ATTRIBUTES.mode in headers || HTTP2_SEC_FETCH_ATTRIBUTES.mode in headers,
+): Headers {
+    const isHttp2 = browser.httpVersion === '2';
+    const secFetchAttributeNames = isHttp2 ? HTTP2_SEC_FETCH_ATTRIBUTES : HTTP1_SEC_FETCH_ATTRIBUTES;
+    const { accept, secFetch, upgradeInsecureRequests, priority } = getRequestTypeHeaders(requestType, browser);
+    const result = { ...headers };
+
+    if (hasSecFetch) {
+        for (const attribute of ['site', 'mode', 'user', 'dest'] as const) {
+            delete result[secFetchAttributeNames[attribute]];
+            if (secFetch[attribute]) result[secFetchAttributeNames[attribute]] = secFetch[attribute]!;
+        }
+    }
+
+    const acceptFieldName = isHttp2 ? 'accept' : 'Accept';
+    if (accept === null) delete result[acceptFieldName];
+    else if (accept !== undefined) result[acceptFieldName] = accept;
+
+    if (!upgradeInsecureRequests) delete result[isHttp2 ? 'upgrade-insecure-requests' : 'Upgrade-Insecure-Requests'];
+
+    delete result.priority;
+    // The browsers only send the `Priority` header over HTTP/2 and HTTP/3.
+    if (priority && isHttp2) result.priority = priority;
+
+    return result;
+}
@@ -0,0 +1,79 @@
+import ow from 'ow';
+
+import { getClientHints, parseClientHintsHeader } from './client-hints';
+import { SUPPORTED_REQUEST_TYPES } from './constants';
+import { HeaderGenerator, Headers, headersRequestShape, HttpBrowserObject } from './header-generator';
+import { applyRequest, getRequestTypeOfMethod, HeadersRequest } from './request-headers';
+import { applyRequestType, RequestType } from './request-types';
+import { getHeaderValue } from './utils';
+
+/**
+ * Browser identity used for many requests, created by `HeaderGenerator.createSession`. The user agent, client hints,
+ * `Accept-Language`, `Accept-Encoding` and the order of the headers stay the same in all the requests of the session,
+ * the headers depending on the request (its type, URL, referer and body) are generated for every request.
+ */
+export class HeaderGeneratorSession {
+    /**
+     * Headers of a navigation request identifying the browser of the session.
+     */
+    readonly headers: Headers;
+
+    private generator: HeaderGenerator;
+
+    private browser: HttpBrowserObject;
+
+    private userAgentData?: Record<string, any>;
+
+    /**
+     * Client hints requested by the origins in their `Accept-CH` response headers, see `handleResponse`.
+     */
+    private acceptedClientHints = new Map<string, string[]>();
+
+    /**
+     * @param generator Generator creating the session.
+     * @param headers Headers of a navigation request identifying the browser.
+     * @param browser Browser the headers were generated for.
+     * @param userAgentData High-entropy values of the `navigator.userAgentData`, see `HeaderGenerator.getClientHintsHeaders`.
+     */
+    constructor(generator: HeaderGenerator, headers: Headers, browser: HttpBrowserObject, userAgentData?: Record<string, any>) {
+        this.generator = generator;
+        this.headers = headers;
+        this.browser = browser;
+        this.userAgentData = userAgentData;
+    }
+
+    /**
+     * Generates the ordered headers of a request of the session. Without the request, the headers of a request
+     * of the given type are returned, without the headers depending on the URL.
+     * @param request Description of the request, see `HeaderGenerator.getHeadersForRequest`.
+     * @param requestType Type of the request. By default, `navigation` (or `form` for the requests with a body).
+     */
+    getHeaders(request?: HeadersRequest, requestType?: RequestType): Headers {
+        ow(request, 'HeadersRequest', ow.optional.object.exactShape(headersRequestShape));
+        ow(requestType, 'requestType', ow.optional.string.oneOf(SUPPORTED_REQUEST_TYPES));
+        const type = getRequestTypeOfMethod(request?.method, requestType);
+        let headers = applyRequestType(this.headers, type, this.browser);
+
+        if (request) {
+            headers = applyRequest(headers, request, type);
+            const clientHints = this.acceptedClientHints.get(new URL(request.url).origin);
+            if (clientHints) headers = { ...getClientHints(headers, clientHints, this.userAgentData), ...headers };
+        }
+
+        return this.generator.orderHeaders(headers);
+    }
+
+    /**
+     * Processes the headers of a response, so the following requests to the same origin contain the client hints
+     * the server asked for in the `Accept-CH` header. Like in the browsers, the client hints are only kept for secure origins.
+     * @param url URL of the request the response belongs to.
+     * @param responseHeaders Headers of the response.
+     */
+    handleResponse(url: string, responseHeaders: Headers): void {
+        const acceptCH = getHeaderValue(responseHeaders, 'accept-ch');
+        const { origin, protocol } = new URL(url);
+        if (acceptCH === undefined || protocol !== 'https:') return;
+
+        this.acceptedClientHints.set(origin, parseClientHintsHeader(acceptCH));
+    }
+}
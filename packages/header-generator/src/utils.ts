@@ -1,32 +1,52 @@
 import browsersList from 'browserslist';
 
-import { SUPPORTED_BROWSERS } from './constants';
+import { MISSING_VALUE_DATASET_TOKEN, SUPPORTED_BROWSERS } from './constants';
 import { BrowserName, BrowserSpecification } from './header-generator';
 
-export const getUserAgent = (headers: Record<string, string>): string | undefined => {
+export const getHeaderValue = (headers: Record<string, string>, name: string): string | undefined => {
     for (const [header, value] of Object.entries(headers)) {
-        if (header.toLowerCase() === 'user-agent') {
+        if (header.toLowerCase() === name) {
             return value;
         }
     }
     return undefined;
 };
 
+export const getUserAgent = (headers: Record<string, string>): string | undefined => getHeaderValue(headers, 'user-agent');
+
+/**
+ * Patterns of the user agents of the supported browsers, capturing the browser version.
+ * The Chromium-based browsers have to be matched before Chrome, whose name their user agents contain as well.
+ * Brave uses the user agent of Chrome, so it can only be told apart by the brands in the client hints.
+ */
+const BROWSER_VERSION_PATTERNS: [BrowserName, RegExp][] = [
+    ['firefox', /Firefox\/([\d.]+)/],
+    ['opera', /OP[RT]\/([\d.]+)/],
+    ['samsung', /SamsungBrowser\/([\d.]+)/],
+    ['yandex', /YaBrowser\/([\d.]+)/],
+    ['vivaldi', /Vivaldi\/([\d.]+)/],
+    ['edge', /Edg[A-Za-z]*\/([\d.]+)/],
+    ['chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+    ['safari', /Version\/([\d.]+)/],
+];
+
 export const getBrowser = (userAgent?: string): BrowserName | undefined => {
     if (!userAgent) {
         return undefined;
     }
 
-    let browser;
-    if (userAgent.includes('Firefox')) {
-        browser = 'firefox';
-    } else if (userAgent.includes('Chrome')) {
-        browser = 'chrome';
-    } else {
-        browser = 'safari';
-    }
+    const [browser] = BROWSER_VERSION_PATTERNS.find(([, pattern]) => pattern.test(userAgent)) ?? ['safari'];
+    return browser;
+};
 
-    return browser as BrowserName;
+export const getBrowserString = (userAgent?: string): string => {
+    for (const [browser, pattern] of BROWSER_VERSION_PATTERNS) {
+        const match = userAgent?.match(pattern);
+        if (match) {
+            return `${browser}/${match[1]}`;
+        }
+    }
+    return MISSING_VALUE_DATASET_TOKEN;
 };
 
 const getBrowsersWithVersions = (browserList: string[]): Record<BrowserName, number[]> => {
@@ -80,12 +100,3 @@ export const getBrowsersFromQuery = (browserListQuery: string): BrowserSpecifica
     const browsersWithVersions = getBrowsersWithVersions(browserList);
     return getOptimizedVersionDistribution(browsersWithVersions);
 };
-
-export const shuffleArray = (array: any[]): any[] => {
-    for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [array[i], array[j]] = [array[j], array[i]];
-    }
-
-    return array;
-};
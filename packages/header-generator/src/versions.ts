@@ -0,0 +1,78 @@
+/**
+ * Pattern of a (possibly partial) browser version with up to four numeric parts, e.g. `120`, `120.0.6099` or `120.0.6099.109`.
+ */
+export const VERSION_PATTERN = /^\d+(?:\.\d+){0,3}$/;
+
+const COMPARATOR_PATTERN = /^(<=|>=|<|>|=)?(\d+(?:\.\d+){0,3})$/;
+
+/**
+ * Whether the version starts with all the parts of the partial version, e.g. `120.0.6099.109` matches `120.0`.
+ * The missing parts of the version are treated as zeros.
+ * @param version Browser version split into its numeric parts.
+ * @param partialVersion Partial version split into its numeric parts.
+ */
+export function matchesVersion(version: number[], partialVersion: number[]): boolean {
+    return partialVersion.every((part, index) => (version[index] ?? 0) === part);
+}
+
+/**
+ * Compares the versions part by part, the missing parts are treated as zeros.
+ * Returns a negative number if the first version is lower, a positive number if it is higher and zero if they are equal.
+ * @param versionL Version split into its numeric parts.
+ * @param versionR Version split into its numeric parts.
+ */
+export function compareVersions(versionL: number[], versionR: number[]): number {
+    for (let i = 0; i < Math.max(versionL.length, versionR.length); i++) {
+        const difference = (versionL[i] ?? 0) - (versionR[i] ?? 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+// Like in semver, a partial version stands for all the versions starting with it, so `>120` excludes `120.0.6099` and `<=120` includes it.
+const COMPARATORS: Record<string, (version: number[], bound: number[]) => boolean> = {
+    '=': (version, bound) => matchesVersion(version, bound),
+    '>=': (version, bound) => compareVersions(version, bound) >= 0,
+    '<': (version, bound) => compareVersions(version, bound) < 0,
+    '>': (version, bound) => compareVersions(version, bound) > 0 && !matchesVersion(version, bound),
+    '<=': (version, bound) => compareVersions(version, bound) <= 0 || matchesVersion(version, bound),
+};
+
+/**
+ * Splits a version range into the alternatives (separated by `||`) consisting of the comparators (separated by spaces).
+ * @param range Version range, e.g. `>=120.0.6099 <121 || 123`.
+ */
+function getComparators(range: string): string[][] {
+    return range.split('||').map((alternative) => alternative.trim().replace(/([<>=]+)\s+/g, '$1').split(/\s+/));
+}
+
+/**
+ * Splits the version string into its numeric parts.
+ * @param version Version string, e.g. `120.0.6099.109`.
+ */
+export function parseVersion(version: string): number[] {
+    return version.split('.').map((part) => parseInt(part, 10));
+}
+
+/**
+ * Checks whether the string is a valid version range, see `satisfiesVersionRange`.
+ * @param range Version range.
+ */
+export function isValidVersionRange(range: string): boolean {
+    return getComparators(range).every((comparators) => comparators.every((comparator) => COMPARATOR_PATTERN.test(comparator)));
+}
+
+/**
+ * Checks whether the version satisfies a semver-like version range. The range consists of comparators (`<`, `<=`, `>`, `>=` or `=`
+ * followed by a version with up to four parts) separated by spaces, all of which have to be satisfied, e.g. `>=120.0.6099 <121`.
+ * A version without an operator matches all the versions starting with it, so a complete version pins the exact build.
+ * Multiple ranges can be joined with `||`.
+ * @param version Browser version split into its numeric parts.
+ * @param range Valid version range.
+ */
+export function satisfiesVersionRange(version: number[], range: string): boolean {
+    return getComparators(range).some((comparators) => comparators.every((comparator) => {
+        const [, operator = '=', bound] = comparator.match(COMPARATOR_PATTERN)!;
+        return COMPARATORS[operator](version, parseVersion(bound));
+    }));
+}
@@ -0,0 +1,29 @@
+/* eslint-disable no-console */
+import { writeFileSync } from 'fs';
+
+import { BayesianNetwork, compressNetwork, serializeNetworkDefinition } from 'generative-bayesian-network';
+
+/**
+ * Creates a compressed ("lite") version of a network definition and prints the size and fidelity report.
+ * Usage: ts-node scripts/network-compress.ts <definition> <output zip> [threshold] [precision]
+ */
+const [inputPath, outputPath, threshold, precision] = process.argv.slice(2);
+if (!inputPath || !outputPath) {
+    console.error('Usage: ts-node scripts/network-compress.ts <definition> <output zip> [threshold] [precision]');
+    process.exit(1);
+}
+
+const network = new BayesianNetwork({ path: inputPath });
+const { definition, report } = compressNetwork(network, {
+    threshold: threshold ? Number(threshold) : undefined,
+    precision: precision ? Number(precision) : undefined,
+});
+// Saving the definition through a network instance would expand the shared subtrees again.
+writeFileSync(outputPath, serializeNetworkDefinition(definition));
+
+console.log(`Size: ${report.originalSize} B -> ${report.size} B (${((report.size / report.originalSize) * 100).toFixed(1)}%)\n`);
+console.log('| Node | Values | Shared subtrees | KL divergence (bits) |');
+console.log('| --- | --- | --- | --- |');
+for (const node of report.nodes) {
+    console.log(`| ${node.name} | ${node.originalValueCount} -> ${node.valueCount} | ${node.sharedSubtreeCount} | ${node.klDivergence.toFixed(4)} |`);
+}
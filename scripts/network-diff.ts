@@ -0,0 +1,24 @@
+/* eslint-disable no-console */
+import { BayesianNetwork, compareNetworks, formatNetworkDiff } from 'generative-bayesian-network';
+
+/**
+ * Compares two network definitions, e.g. the current model and its regenerated version.
+ * Usage: ts-node scripts/network-diff.ts <previous definition> <updated definition> [--json]
+ */
+const [previousPath, updatedPath, ...flags] = process.argv.slice(2);
+if (!previousPath || !updatedPath) {
+    console.error('Usage: ts-node scripts/network-diff.ts <previous definition> <updated definition> [--json]');
+    process.exit(1);
+}
+
+const diff = compareNetworks(new BayesianNetwork({ path: previousPath }), new BayesianNetwork({ path: updatedPath }));
+
+if (flags.includes('--json')) {
+    console.log(JSON.stringify(diff, null, 4));
+} else {
+    const browserDiff = diff.nodes.find((node) => node.name === '*BROWSER');
+    if (browserDiff) {
+        console.log(`New browser versions: ${browserDiff.addedValues.join(', ') || 'none'}\n`);
+    }
+    console.log(formatNetworkDiff(diff));
+}
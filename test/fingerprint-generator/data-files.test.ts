@@ -0,0 +1,45 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+
+import { FingerprintGenerator } from 'fingerprint-generator';
+
+// Use the modules the bundlers substitute in browsers and edge runtimes, so no file system access is possible.
+jest.mock('header-generator/src/data-files', () => jest.requireActual('header-generator/src/data-files.browser'));
+jest.mock('fingerprint-generator/src/data-files', () => jest.requireActual('fingerprint-generator/src/data-files.browser'));
+jest.mock('generative-bayesian-network/src/network-io', () => jest.requireActual('generative-bayesian-network/src/network-io.browser'));
+
+const { readNetworkDefinition, serializeNetworkDefinition } = jest.requireActual('generative-bayesian-network/src/network-io');
+const headerDataFilesPath = path.join(__dirname, '../../packages/header-generator/src/data_files');
+const fingerprintDataFilesPath = path.join(__dirname, '../../packages/fingerprint-generator/src/data_files');
+
+/**
+ * Converts the shipped network definition to plain JSON, as described in the README.
+ */
+function convertNetworkDefinition(filePath: string): Buffer {
+    return serializeNetworkDefinition(readNetworkDefinition(filePath), 'json');
+}
+
+describe('Injected data files', () => {
+    const dataFiles = {
+        inputNetworkDefinition: convertNetworkDefinition(path.join(headerDataFilesPath, 'input-network-definition.zip')),
+        headerNetworkDefinition: convertNetworkDefinition(path.join(headerDataFilesPath, 'header-network-definition.zip')),
+        headersOrder: JSON.parse(readFileSync(path.join(headerDataFilesPath, 'headers-order.json'), 'utf8')),
+        browserHelperFile: JSON.parse(readFileSync(path.join(headerDataFilesPath, 'browser-helper-file.json'), 'utf8')),
+    };
+
+    test('Generates fingerprints from the definitions converted to plain JSON', () => {
+        const fingerprintGenerator = new FingerprintGenerator({
+            dataFiles: {
+                ...dataFiles,
+                fingerprintNetworkDefinition: convertNetworkDefinition(path.join(fingerprintDataFilesPath, 'fingerprint-network-definition.zip')),
+            },
+            browsers: ['firefox'],
+        });
+        const { fingerprint } = fingerprintGenerator.getFingerprint();
+        expect(fingerprint.navigator.userAgent).toContain('Firefox');
+    });
+
+    test('Explains how to provide the fingerprint network', () => {
+        expect(() => new FingerprintGenerator({ dataFiles })).toThrow(/fingerprint-network-definition\.zip.*plain JSON/);
+    });
+});
@@ -31,13 +31,14 @@ describe('Generation tests', () => {
     });
 
     test('Generates fingerprints with correct languages', () => {
-        const locales = ['en', 'de', 'en-GB'];
-        const { fingerprint } = fingerprintGenerator.getFingerprint({
-            locales,
+        const { fingerprint, headers } = fingerprintGenerator.getFingerprint({
+            locales: ['en-US', 'de'],
+            browsers: ['chrome'],
         });
 
-        const fingerprintLanguages = fingerprint.navigator.languages;
-        expect(fingerprintLanguages.sort()).toEqual(locales.sort());
+        expect(headers['accept-language'] ?? headers['Accept-Language']).toBe('en-US,en;q=0.9,de;q=0.8');
+        expect(fingerprint.navigator.languages).toEqual(['en-US', 'de']);
+        expect(fingerprint.navigator.language).toBe('en-US');
     });
 
     test('Generated fingerprint and headers match', () => {
@@ -49,6 +50,46 @@ describe('Generation tests', () => {
         expect(headersUserAgent === fingerprint.navigator.userAgent).toBeTruthy();
     });
 
+    test('Generates identical fingerprints with the same seed', () => {
+        const first = new FingerprintGenerator({ seed: 42 });
+        const second = new FingerprintGenerator({ seed: 42 });
+
+        for (let i = 0; i < 5; i++) {
+            expect(JSON.stringify(first.getFingerprint())).toBe(JSON.stringify(second.getFingerprint()));
+        }
+    });
+
+    test('Generates batches of distinct fingerprints', () => {
+        const batch = fingerprintGenerator.getFingerprints(5, { devices: ['mobile'] });
+        expect(batch).toHaveLength(5);
+        expect(new Set(batch.map((fingerprint) => JSON.stringify(fingerprint))).size).toBe(5);
+    });
+
+    test('Estimates the surprisal of fingerprints', () => {
+        const fingerprintWithHeaders = fingerprintGenerator.getFingerprint({ httpVersion: '2' });
+        const { total, attributes } = fingerprintGenerator.getFingerprintSurprisal(fingerprintWithHeaders);
+
+        expect(total).toBeGreaterThan(0);
+        expect(Number.isFinite(total)).toBe(true);
+        expect(Object.keys(attributes)).toEqual(expect.arrayContaining(['user-agent', 'screen', 'hardwareConcurrency']));
+        expect(total).toBeCloseTo(Object.values(attributes).reduce((acc, x) => acc + x, 0));
+    });
+
+    test('Generates client hints consistent with the fingerprint', () => {
+        const { fingerprint, headers } = fingerprintGenerator.getFingerprint({ browsers: ['chrome'], httpVersion: '2' });
+        const clientHintsHeaders = fingerprintGenerator.getClientHintsHeaders(
+            headers,
+            { 'accept-ch': 'sec-ch-ua-full-version-list, sec-ch-ua-arch' },
+            fingerprint.navigator.userAgentData,
+        );
+        const { fullVersionList, architecture } = fingerprint.navigator.userAgentData as Record<string, any>;
+
+        expect(clientHintsHeaders['sec-ch-ua-arch']).toBe(`"${architecture}"`);
+        for (const { brand, version } of fullVersionList) {
+            expect(clientHintsHeaders['sec-ch-ua-full-version-list']).toContain(`"${brand}";v="${version}"`);
+        }
+    });
+
     test('Transforms schema', () => {
         const { fingerprint: { screen, navigator } } = fingerprintGenerator.getFingerprint();
 
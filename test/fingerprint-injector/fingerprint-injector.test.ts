@@ -160,11 +160,14 @@ describe('FingerprintInjector', () => {
                             platform: navigator.userAgentData.platform,
                             // @ts-expect-error internal browser code
                             mobile: navigator.userAgentData.mobile,
+                            // @ts-expect-error internal browser code
+                            serializedBrands: navigator.userAgentData.toJSON().brands,
                         };
                     });
                     const { userAgentData: userAgentDataFp } = navigatorFp;
                     if (userAgentDataFp) {
-                        expect(userAgentData.brands).toBeDefined();
+                        expect(userAgentData.brands).toEqual(userAgentDataFp.brands);
+                        expect(userAgentData.serializedBrands).toEqual(userAgentDataFp.brands);
                         expect(userAgentData.mobile).toBe(userAgentDataFp.mobile);
                         expect(userAgentData.platform).toBe(userAgentDataFp.platform);
                         expect(userAgentData.architecture).toBe(userAgentDataFp.architecture);
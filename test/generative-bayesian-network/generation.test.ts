@@ -1,32 +1,41 @@
 /* eslint-disable */
+import * as os from 'os';
 import * as path from 'path';
-import { BayesianNetwork } from 'generative-bayesian-network';
+import {
+    BayesianNetwork, clearNetworkDefinitionCache, compareNetworks, compressNetwork, formatNetworkDiff, learnNetworkStructure, parseBif, parseNetworkDefinition, parseXmlBif,
+    readNetworkDefinition, saveNetworkStructure, serializeNetworkDefinition, toBif, toXmlBif, utils,
+} from 'generative-bayesian-network';
 import { parseFile } from 'fast-csv';
+import AdmZip = require('adm-zip');
 
 const testNetworkDefinitionPath = path.join(__dirname, './testNetworkDefinition.zip');
 
+async function loadTestDataset() {
+    const rows : string[][] = [];
+
+    await new Promise<void>((res) => {
+        parseFile(path.join(__dirname, './testDataset.csv'))
+        .on('data', r => rows.push(r))
+        .on('end', () => {
+           res();
+        })
+    });
+
+    return rows.slice(1).map(r => {
+        const x = {} as Record<string, any>;
+        for(let i = 0; i < r.length; i++) {
+            x[rows[0][i]] = r[i];
+        }
+        return x;
+    });
+}
+
 describe('Setup test', () => {
     const testGeneratorNetwork = new BayesianNetwork({path: path.join(__dirname, './testNetworkStructureDefinition.zip')});
 
     test('Calculates probabilities from data', async () => {
-        const rows : string[][] = [];
-
-        await new Promise<void>((res) => {
-            parseFile(path.join(__dirname, './testDataset.csv'))
-            .on('data', r => rows.push(r))
-            .on('end', () => {
-               res();
-            })
-        });
+        const data = await loadTestDataset();
 
-        const data = rows.slice(1).map(r => {
-            const x = {} as Record<string, any>;
-            for(let i = 0; i < r.length; i++) {
-                x[rows[0][i]] = r[i];
-            }
-            return x;
-        });
-        
         testGeneratorNetwork.setProbabilitiesAccordingToData(data);
         testGeneratorNetwork.saveNetworkDefinition({path: testNetworkDefinitionPath});
         expect(testGeneratorNetwork.generateSample()).toBeTruthy();
@@ -65,4 +74,640 @@ describe('Generation tests', () => {
             }
         }
     });
+
+    test('Generates samples consistent with exclusion lists, regular expressions and predicates', () => {
+        for (let i = 0; i < 20; i++) {
+            const sample = testGeneratorNetwork.generateConsistentSampleWhenPossible({
+                ATTR1: { exclude: ['ATTR1_VAL0', 'ATTR1_VAL1'] },
+                ATTR3: /VAL[2-4]$/,
+                ATTR5: (value) => value !== 'ATTR5_VAL1',
+            });
+            expect(['ATTR1_VAL0', 'ATTR1_VAL1']).not.toContain(sample.ATTR1);
+            expect(sample.ATTR3).toMatch(/VAL[2-4]$/);
+            expect(sample.ATTR5).not.toBe('ATTR5_VAL1');
+        }
+    });
+
+    test('Resolves constraints to the whitelists of values', () => {
+        expect(utils.satisfiesConstraint('8', { min: 8 })).toBe(true);
+        expect(utils.satisfiesConstraint('4', { min: 8 })).toBe(false);
+        expect(utils.satisfiesConstraint('*MISSING_VALUE*', { max: 8 })).toBe(false);
+        expect(utils.satisfiesConstraint('chrome/112.0.0.0', {
+            pattern: /^chrome\//,
+            predicate: (value) => { const major = parseInt(value.split('/')[1], 10); return major < 110 || major > 115; },
+        })).toBe(false);
+
+        const resolved = utils.resolveConstraints(testGeneratorNetwork, { ATTR3: /VAL[2-4]$/, UNKNOWN: /./ });
+        expect(resolved).toEqual({ ATTR3: expect.arrayContaining(['ATTR3_VAL2', 'ATTR3_VAL3', 'ATTR3_VAL4']) });
+        expect(resolved.ATTR3).toHaveLength(3);
+        expect(utils.getPossibleValues(testGeneratorNetwork, { ATTR3: /VAL[2-4]$/ })).toEqual(utils.getPossibleValues(testGeneratorNetwork, resolved));
+    });
+
+    test('Propagates constraints through the whole network', () => {
+        const network = new BayesianNetwork({
+            definition: {
+                nodes: [
+                    { name: 'A', parentNames: [], possibleValues: ['a1', 'a2'], conditionalProbabilities: { a1: 0.5, a2: 0.5 } },
+                    { name: 'B', parentNames: ['A'], possibleValues: ['b1', 'b2'], conditionalProbabilities: { deeper: { a1: { b1: 1 }, a2: { b2: 1 } } } },
+                    { name: 'C', parentNames: ['B'], possibleValues: ['c1', 'c2'], conditionalProbabilities: { deeper: { b1: { c1: 1 }, b2: { c2: 1 } } } },
+                    { name: 'D', parentNames: [], possibleValues: ['d1', 'd2'], conditionalProbabilities: { d1: 0.5, d2: 0.5 } },
+                ],
+            },
+        });
+
+        expect(utils.getPossibleValues(network, { C: ['c1'] })).toEqual({ A: ['a1'], B: ['b1'], C: ['c1'], D: ['d1', 'd2'] });
+        expect(utils.getPossibleValues(network, { A: ['a2'] })).toMatchObject({ C: ['c2'] });
+        expect(() => utils.getPossibleValues(network, { A: ['a2'], C: ['c1'], D: ['d1'] })).toThrow('the constraints of A, C conflict with each other');
+        expect(() => utils.getPossibleValues(network, { D: [] })).toThrow('the constraint of D cannot be satisfied');
+    });
+
+    test('Generates identical samples with the same seed', () => {
+        const first = new BayesianNetwork({path: testNetworkDefinitionPath, seed: 42});
+        const second = new BayesianNetwork({path: testNetworkDefinitionPath, seed: 42});
+
+        for (let i = 0; i < 10; i++) {
+            expect(first.generateSample()).toEqual(second.generateSample());
+            expect(first.generateConsistentSampleWhenPossible({ ATTR3: ['ATTR3_VAL2', 'ATTR3_VAL3'] }))
+                .toEqual(second.generateConsistentSampleWhenPossible({ ATTR3: ['ATTR3_VAL2', 'ATTR3_VAL3'] }));
+        }
+    });
+});
+
+describe('Constrained sampling', () => {
+    const structurePath = path.join(os.tmpdir(), 'constrained-structure.zip');
+    const data = [
+        ...Array(10).fill({ A: 'a1', B: 'b1', C: 'c1' }),
+        ...Array(6).fill({ A: 'a2', B: 'b2', C: 'c2' }),
+        ...Array(4).fill({ A: 'a3', B: 'b3', C: 'c3' }),
+        ...Array(2).fill({ A: 'a3', B: 'b2', C: 'c2' }),
+    ];
+    let network: BayesianNetwork;
+
+    beforeAll(() => {
+        saveNetworkStructure({
+            nodes: [{ name: 'A', parentNames: [] }, { name: 'B', parentNames: ['A'] }, { name: 'C', parentNames: ['B'] }],
+        }, { path: structurePath });
+        network = new BayesianNetwork({ path: structurePath, seed: 1 });
+        network.setProbabilitiesAccordingToData(data);
+    });
+
+    test('Restrictions of a node are propagated to its ancestors', () => {
+        for (let i = 0; i < 100; i++) {
+            const sample = network.generateConsistentSampleWhenPossible({ C: ['c2'] });
+            expect(sample.C).toBe('c2');
+            expect(sample.B).toBe('b2');
+            expect(['a2', 'a3']).toContain(sample.A);
+        }
+    });
+
+    test('Samples the ancestors proportionally to their probabilities among the consistent values', () => {
+        let count = 0;
+        for (let i = 0; i < 2000; i++) {
+            if (network.generateConsistentSampleWhenPossible({ C: ['c2'] }).A === 'a2') count++;
+        }
+        // P(A = a2) = P(A = a3) = 6 / 22, both values can be completed into a consistent sample.
+        expect(count / 2000).toBeCloseTo(0.5, 1);
+    });
+
+    test('Generates batches of distinct samples', () => {
+        // There are only 4 distinct combinations of values in the data.
+        const samples = network.generateSamples(10, { unique: true });
+        expect(samples).toHaveLength(4);
+        expect(new Set(samples.map((sample) => JSON.stringify(sample))).size).toBe(4);
+
+        expect(network.generateSamples(10)).toHaveLength(10);
+        expect(network.generateSamples(5, { unique: true, constraints: { C: ['c2'] } })).toHaveLength(2);
+        expect(network.generateSamples(5, { constraints: { A: ['a1'], C: ['c2'] } })).toEqual([]);
+    });
+
+    test('Finds the most probable samples consistent with the restrictions', () => {
+        expect(network.getMostProbableSamples(2)).toEqual([
+            { sample: { A: 'a1', B: 'b1', C: 'c1' }, probability: expect.closeTo(10 / 22) },
+            { sample: { A: 'a2', B: 'b2', C: 'c2' }, probability: expect.closeTo(6 / 22) },
+        ]);
+        expect(network.getMostProbableSamples(3, { C: ['c2'] })).toEqual([
+            { sample: { A: 'a2', B: 'b2', C: 'c2' }, probability: expect.closeTo(6 / 22) },
+            { sample: { A: 'a3', B: 'b2', C: 'c2' }, probability: expect.closeTo(2 / 22) },
+        ]);
+        expect(network.getMostProbableSamples(1, { A: ['a1'], C: ['c2'] })).toEqual([]);
+    });
+
+    test('Returns an empty object for unsatisfiable restrictions', () => {
+        expect(network.generateConsistentSampleWhenPossible({ A: ['a1'], C: ['c2'] })).toEqual({});
+        expect(network.generateConsistentSampleWhenPossible({ B: [] })).toEqual({});
+    });
+});
+
+describe('Definition formats', () => {
+    const testGeneratorNetwork = new BayesianNetwork({path: testNetworkDefinitionPath});
+
+    test('Creates a network from a parsed definition', () => {
+        const network = new BayesianNetwork({ definition: JSON.parse(JSON.stringify(testGeneratorNetwork)), seed: 1 });
+        const sample = network.generateSample();
+        expect(network.getProbability(sample)).toBeCloseTo(testGeneratorNetwork.getProbability(sample), 10);
+    });
+
+    for (const format of ['zip', 'lazy-zip', 'json', 'gzip', 'brotli'] as const) {
+        test(`Round-trips the definition through ${format}`, () => {
+            const fromBuffer = new BayesianNetwork({ definition: testGeneratorNetwork.toBuffer(format) });
+            expect(fromBuffer.toJSON()).toEqual(testGeneratorNetwork.toJSON());
+
+            const extension = { zip: 'zip', 'lazy-zip': 'lazy.zip', json: 'json', gzip: 'json.gz', brotli: 'json.br' }[format];
+            const filePath = path.join(os.tmpdir(), `network-definition.${extension}`);
+            testGeneratorNetwork.saveNetworkDefinition({ path: filePath, format });
+            expect(new BayesianNetwork({ path: filePath }).toJSON()).toEqual(testGeneratorNetwork.toJSON());
+        });
+    }
+
+    test('Requires exactly one source of the definition', () => {
+        expect(() => new BayesianNetwork({})).toThrow();
+        expect(() => new BayesianNetwork({ path: testNetworkDefinitionPath, definition: testGeneratorNetwork.toJSON() })).toThrow();
+    });
+});
+
+describe('Definition cache and lazy loading', () => {
+    const definitionPath = path.join(os.tmpdir(), 'cached-network.zip');
+    const data = [{ A: 'a1', B: 'b1' }, { A: 'a1', B: 'b2' }, { A: 'a2', B: 'b2' }];
+
+    beforeAll(() => {
+        const structurePath = path.join(os.tmpdir(), 'cached-structure.zip');
+        saveNetworkStructure({ nodes: [{ name: 'A', parentNames: [] }, { name: 'B', parentNames: ['A'] }] }, { path: structurePath });
+        const network = new BayesianNetwork({ path: structurePath });
+        network.setProbabilitiesAccordingToData(data);
+        network.saveNetworkDefinition({ path: definitionPath });
+    });
+
+    test('Reads every definition file only once', () => {
+        const definition = readNetworkDefinition(definitionPath);
+        expect(readNetworkDefinition(definitionPath)).toBe(definition);
+
+        clearNetworkDefinitionCache();
+        expect(readNetworkDefinition(definitionPath)).not.toBe(definition);
+        expect(readNetworkDefinition(definitionPath)).toEqual(definition);
+    });
+
+    test('Training a network does not affect the other networks sharing its definition', () => {
+        const network = new BayesianNetwork({ path: definitionPath });
+        const otherNetwork = new BayesianNetwork({ path: definitionPath });
+        const originalDefinition = JSON.parse(JSON.stringify(otherNetwork));
+
+        network.update(Array(10).fill({ A: 'a3', B: 'b3' }));
+        expect(network.getProbability({ A: 'a3', B: 'b3' })).toBeGreaterThan(0.5);
+        expect(otherNetwork.toJSON()).toEqual(originalDefinition);
+        expect(readNetworkDefinition(definitionPath)).toEqual(originalDefinition);
+    });
+
+    test('The shipped fingerprint network loads its large nodes lazily', () => {
+        const fingerprintNetworkPath = path.join(__dirname, '../../packages/fingerprint-generator/src/data_files/fingerprint-network-definition.zip');
+        const { nodes } = readNetworkDefinition(fingerprintNetworkPath);
+        const lazyNodes = nodes.filter((node) => Object.getOwnPropertyDescriptor(node, 'conditionalProbabilities')!.get);
+        expect(lazyNodes.map((node) => node.name)).toEqual(expect.arrayContaining(['fonts', 'screen']));
+    });
+
+    test('Loads the large nodes only when they are needed', () => {
+        const values = Array.from({ length: 5000 }, (_, i) => `some rather long value number ${i}`);
+        const network = new BayesianNetwork({
+            definition: {
+                nodes: [
+                    { name: 'A', parentNames: [], possibleValues: ['a1'], conditionalProbabilities: { a1: 1 } },
+                    {
+                        name: 'B',
+                        parentNames: ['A'],
+                        possibleValues: values,
+                        conditionalProbabilities: { deeper: { a1: Object.fromEntries(values.map((value) => [value, 1 / values.length])) } },
+                    },
+                ],
+            },
+        });
+
+        const definition = parseNetworkDefinition(serializeNetworkDefinition(network.toJSON(), 'lazy-zip'));
+        expect(Object.getOwnPropertyDescriptor(definition.nodes[0], 'conditionalProbabilities')!.value).toEqual({ a1: 1 });
+        expect(Object.getOwnPropertyDescriptor(definition.nodes[1], 'conditionalProbabilities')!.get).toBeDefined();
+
+        const parsedNetwork = new BayesianNetwork({ definition });
+        expect(values).toContain(parsedNetwork.generateSample().B);
+        expect(parsedNetwork.toJSON()).toEqual(network.toJSON());
+
+        // Readers taking the first entry as the whole definition have to keep working with the default format.
+        expect(new AdmZip(serializeNetworkDefinition(network.toJSON())).getEntries()).toHaveLength(1);
+
+        // The main entry sorts after the directory of the nodes.
+        const lazyZip = serializeNetworkDefinition(network.toJSON(), 'lazy-zip', 'structure.json');
+        expect(new AdmZip(lazyZip).getEntries().map((entry) => entry.entryName)).toEqual(['nodes/1.json', 'structure.json']);
+        expect(new BayesianNetwork({ definition: lazyZip }).toJSON()).toEqual(network.toJSON());
+    });
+});
+
+describe('Standard formats', () => {
+    const structurePath = path.join(os.tmpdir(), 'formats-structure.zip');
+    const values = { A: ['a "1"', 'a <2> & 3', 'a3'], B: ['b1', 'b2'], C: ['c1', 'c2'] };
+    let network: BayesianNetwork;
+
+    const expectSameDistribution = (parsed: BayesianNetwork) => {
+        for (const A of values.A) {
+            for (const B of values.B) {
+                for (const C of values.C) {
+                    expect(parsed.getProbability({ A, B, C })).toBeCloseTo(network.getProbability({ A, B, C }), 10);
+                }
+            }
+        }
+    };
+
+    beforeAll(() => {
+        saveNetworkStructure({
+            nodes: [{ name: 'A', parentNames: [] }, { name: 'B', parentNames: ['A'] }, { name: 'C', parentNames: ['A', 'B'] }],
+        }, { path: structurePath });
+        network = new BayesianNetwork({ path: structurePath });
+        // With `minCount`, the rare parent values share the `skip` branches.
+        network.setProbabilitiesAccordingToData([
+            ...Array(3).fill({ A: 'a "1"', B: 'b1', C: 'c1' }),
+            ...Array(2).fill({ A: 'a "1"', B: 'b2', C: 'c2' }),
+            ...Array(3).fill({ A: 'a <2> & 3', B: 'b2', C: 'c1' }),
+            { A: 'a3', B: 'b1', C: 'c2' },
+        ], { minCount: 2 });
+    });
+
+    test('Round-trips the network through BIF', () => {
+        const bif = toBif(network, { name: 'test' });
+        expect(bif).toContain('probability ( C | A, B ) {');
+        expect(bif).toContain('type discrete [ 3 ] { "a \\"1\\"", "a <2> & 3", a3 };');
+
+        const definition = parseBif(bif);
+        expect(definition.nodes.map((node) => node.possibleValues)).toEqual(network.toJSON().nodes.map((node) => node.possibleValues));
+        expectSameDistribution(new BayesianNetwork({ definition }));
+    });
+
+    test('Round-trips the network through XMLBIF', () => {
+        const xml = toXmlBif(network);
+        expect(xml).toContain('<OUTCOME>a &lt;2&gt; &amp; 3</OUTCOME>');
+
+        expectSameDistribution(new BayesianNetwork({ definition: parseXmlBif(xml) }));
+    });
+
+    test('Refuses to export tables over the size limit', () => {
+        const parentValues = Array.from({ length: 500 }, (_, i) => `v${i}`);
+        const largeNetwork = new BayesianNetwork({
+            definition: {
+                nodes: [
+                    { name: 'A', parentNames: [], possibleValues: parentValues, conditionalProbabilities: { v0: 1 } },
+                    { name: 'B', parentNames: [], possibleValues: parentValues, conditionalProbabilities: { v0: 1 } },
+                    {
+                        name: 'C',
+                        parentNames: ['A', 'B'],
+                        possibleValues: ['c1', 'c2', 'c3', 'c4'],
+                        conditionalProbabilities: { deeper: {}, skip: { deeper: {}, skip: { c1: 1 } } },
+                    },
+                ],
+            },
+        });
+
+        // The table of C lists all the 250 000 combinations of the parent values.
+        expect(() => toBif(largeNetwork)).toThrow(/"C"/);
+        expect(() => toXmlBif(largeNetwork)).toThrow(/maxTableSize/);
+        expect(() => toBif(largeNetwork, { maxTableSize: 1e7 })).not.toThrow();
+        expect(() => toBif(network, { maxTableSize: 10 })).toThrow(/maxTableSize/);
+    });
+
+    test('Parses BIF files with comments, properties and default rows', () => {
+        const definition = parseBif(`
+            // Written by hand
+            network unknown {
+                property author "someone";
+            }
+            probability ( Child | Parent ) {
+                (yes) 0.9, 0.1;
+                default 0.2, 0.8;
+            }
+            variable Parent {
+                type discrete [ 2 ] { yes, no };
+            }
+            /* The child node */
+            variable Child {
+                type discrete [ 2 ] { true, false };
+                property position = (10, 20);
+            }
+            probability ( Parent ) {
+                table 0.3, 0.7;
+            }
+        `);
+
+        expect(definition.nodes.map((node) => node.name)).toEqual(['Parent', 'Child']);
+        const parsed = new BayesianNetwork({ definition });
+        expect(parsed.getProbability({ Parent: 'yes', Child: 'true' })).toBeCloseTo(0.27);
+        expect(parsed.getProbability({ Parent: 'no', Child: 'true' })).toBeCloseTo(0.14);
+    });
+
+    test('Rejects incomplete definitions', () => {
+        expect(() => parseBif('variable A { type discrete [ 2 ] { a1, a2 }; }')).toThrow('"A" is not defined');
+        expect(() => parseBif('variable A { type discrete [ 2 ] { a1, a2 }; } probability ( A ) { table 1; }')).toThrow('Expected 2 probabilities');
+    });
+});
+
+describe('Most probable samples', () => {
+    const testGeneratorNetwork = new BayesianNetwork({path: testNetworkDefinitionPath});
+
+    test('Returns the samples in the order of their probabilities', () => {
+        const results = testGeneratorNetwork.getMostProbableSamples(5, { ATTR3: ['ATTR3_VAL2', 'ATTR3_VAL3'] });
+        expect(results).toHaveLength(5);
+        results.forEach(({ sample, probability }, i) => {
+            expect(['ATTR3_VAL2', 'ATTR3_VAL3']).toContain(sample.ATTR3);
+            expect(probability).toBeCloseTo(testGeneratorNetwork.getProbability(sample), 12);
+            if (i > 0) expect(probability).toBeLessThanOrEqual(results[i - 1].probability);
+        });
+
+        const [{ probability: maxProbability }] = testGeneratorNetwork.getMostProbableSamples();
+        for (let i = 0; i < 100; i++) {
+            expect(testGeneratorNetwork.getProbability(testGeneratorNetwork.generateSample())).toBeLessThanOrEqual(maxProbability);
+        }
+    });
+});
+
+describe('Network diff', () => {
+    const structurePath = path.join(os.tmpdir(), 'diff-structure.zip');
+    const createNetwork = (data: Record<string, string>[]) => {
+        const network = new BayesianNetwork({ path: structurePath });
+        network.setProbabilitiesAccordingToData(data);
+        return network;
+    };
+
+    beforeAll(() => {
+        saveNetworkStructure({ nodes: [{ name: 'A', parentNames: [] }, { name: 'B', parentNames: ['A'] }] }, { path: structurePath });
+    });
+
+    test('Identical networks have no differences', () => {
+        const data = [{ A: 'a1', B: 'b1' }, { A: 'a2', B: 'b2' }];
+        const diff = compareNetworks(createNetwork(data), createNetwork(data));
+
+        expect(diff.nodes.every((node) => node.klDivergence === 0 && node.largestChanges.length === 0)).toBe(true);
+        expect(formatNetworkDiff(diff)).toBe('No differences found.');
+    });
+
+    test('Reports added and removed values and the drift of the marginals', () => {
+        const diff = compareNetworks(
+            createNetwork([{ A: 'a1', B: 'b1' }, { A: 'a2', B: 'b2' }]),
+            createNetwork([{ A: 'a1', B: 'b1' }, { A: 'a3', B: 'b2' }, { A: 'a3', B: 'b2' }]),
+        );
+
+        const nodeA = diff.nodes.find((node) => node.name === 'A')!;
+        expect(nodeA.addedValues).toEqual(['a3']);
+        expect(nodeA.removedValues).toEqual(['a2']);
+        expect(nodeA.largestChanges[0]).toEqual({ value: 'a3', previousProbability: 0, probability: 2 / 3 });
+
+        const nodeB = diff.nodes.find((node) => node.name === 'B')!;
+        expect(nodeB.addedValues).toEqual([]);
+        expect(nodeB.klDivergence).toBeCloseTo((1 / 3) * Math.log2(2 / 3) + (2 / 3) * Math.log2(4 / 3));
+        expect(diff.nodes[0]).toBe(nodeA);
+
+        expect(formatNetworkDiff(diff)).toContain('Added values (1): `a3`');
+    });
+
+    test('Approximates the marginals of the nodes with many ancestor states', () => {
+        const previousNetwork = createNetwork([{ A: 'a1', B: 'b1' }, { A: 'a2', B: 'b2' }]);
+        const network = createNetwork([{ A: 'a1', B: 'b1' }, { A: 'a3', B: 'b2' }, { A: 'a3', B: 'b2' }]);
+        const exact = compareNetworks(previousNetwork, network);
+        // In a network without undirected cycles, the approximation is exact.
+        const approximate = compareNetworks(previousNetwork, network, { maxExactStates: 1 });
+
+        for (const node of exact.nodes) {
+            expect(approximate.nodes.find(({ name }) => name === node.name)!.klDivergence).toBeCloseTo(node.klDivergence, 10);
+        }
+    });
+});
+
+describe('Network compression', () => {
+    const structurePath = path.join(os.tmpdir(), 'compression-structure.zip');
+    let network: BayesianNetwork;
+
+    beforeAll(() => {
+        saveNetworkStructure({ nodes: [{ name: 'A', parentNames: [] }, { name: 'B', parentNames: ['A'] }] }, { path: structurePath });
+        network = new BayesianNetwork({ path: structurePath });
+        const data = ['a1', 'a2'].flatMap((A) => ['b1', 'b2', 'b3'].flatMap((B) => Array(3).fill({ A, B })));
+        network.setProbabilitiesAccordingToData([...data, { A: 'a3', B: 'b1' }]);
+    });
+
+    test('Prunes rare values together with their branches', () => {
+        const { definition } = compressNetwork(network, { threshold: 0.1, deduplicate: false });
+        const [nodeA, nodeB] = definition.nodes;
+
+        expect(nodeA.possibleValues).toEqual(['a1', 'a2']);
+        expect(nodeA.conditionalProbabilities).toEqual({ a1: 0.5, a2: 0.5 });
+        expect(Object.keys(nodeB.conditionalProbabilities.deeper)).toEqual(['a1', 'a2']);
+        expect(nodeB.conditionalCounts).toBeUndefined();
+    });
+
+    test('Deduplicated definition describes the same network', () => {
+        const { definition } = compressNetwork(network);
+        const nodeB = definition.nodes[1];
+        expect(nodeB.sharedSubtrees).toHaveLength(1);
+        expect(nodeB.conditionalProbabilities.deeper.a2).toEqual({ '*SHARED_SUBTREE*': 0 });
+
+        const compressed = new BayesianNetwork({ definition });
+        expect(compressed.toJSON().nodes.map((node) => node.conditionalProbabilities))
+            .toEqual(network.toJSON().nodes.map((node) => node.conditionalProbabilities));
+        expect(compressed.generateSample({ A: 'a3' })).toEqual({ A: 'a3', B: 'b1' });
+    });
+
+    test('Reports the size and fidelity of the compressed network', () => {
+        const { report } = compressNetwork(network, { threshold: 0.1, format: 'json' });
+
+        expect(report.size).toBeLessThan(report.originalSize);
+        const nodeA = report.nodes.find((node) => node.name === 'A')!;
+        expect(nodeA).toMatchObject({ originalValueCount: 3, valueCount: 2 });
+        expect(nodeA.klDivergence).toBeGreaterThan(0);
+        expect(report.nodes.find((node) => node.name === 'B')!.sharedSubtreeCount).toBe(1);
+    });
+});
+
+describe('Probability queries', () => {
+    const testGeneratorNetwork = new BayesianNetwork({path: testNetworkDefinitionPath});
+
+    test('Probability of an empty sample is one', () => {
+        expect(testGeneratorNetwork.getProbability({})).toBeCloseTo(1);
+    });
+
+    test('Log-likelihood of a full sample matches its probability', () => {
+        const sample = testGeneratorNetwork.generateSample();
+        const probability = testGeneratorNetwork.getProbability(sample);
+
+        expect(probability).toBeGreaterThan(0);
+        expect(testGeneratorNetwork.getLogLikelihood(sample)).toBeCloseTo(Math.log(probability));
+    });
+
+    test('Probability of a partial sample sums over the missing nodes', () => {
+        const marginal = testGeneratorNetwork.getMarginalDistribution('ATTR5', { ATTR1: 'ATTR1_VAL3' });
+        const total = Object.values(marginal).reduce((acc, x) => acc + x, 0);
+        expect(total).toBeCloseTo(1);
+
+        const evidenceProbability = testGeneratorNetwork.getProbability({ ATTR1: 'ATTR1_VAL3' });
+        for (const [value, probability] of Object.entries(marginal)) {
+            expect(testGeneratorNetwork.getProbability({ ATTR1: 'ATTR1_VAL3', ATTR5: value }))
+                .toBeCloseTo(probability * evidenceProbability);
+        }
+    });
+
+    test('Surprisal of the attributes sums up to the surprisal of the sample', () => {
+        const sample = testGeneratorNetwork.generateSample();
+        const surprisal = testGeneratorNetwork.getSurprisal(sample);
+        const total = Object.values(surprisal).reduce((acc, x) => acc + x, 0);
+
+        expect(Object.keys(surprisal).sort()).toEqual(Object.keys(sample).sort());
+        expect(total).toBeCloseTo(-Math.log2(testGeneratorNetwork.getProbability(sample)));
+        expect(testGeneratorNetwork.getSurprisal({ ...sample, ATTR1: 'unknown value' }).ATTR1).toBe(Infinity);
+    });
+
+    test('Marginal distribution of a root node without evidence is its distribution', () => {
+        const marginal = testGeneratorNetwork.getMarginalDistribution('ATTR1');
+        for (const [value, probability] of Object.entries(marginal)) {
+            expect(testGeneratorNetwork.getProbability({ ATTR1: value })).toBeCloseTo(probability);
+        }
+    });
+});
+
+describe('Structure learning', () => {
+    test('Chow-Liu tree connects dependent attributes', () => {
+        const data = [];
+        for (let i = 0; i < 200; i++) {
+            data.push({ A: `a${i % 4}`, B: `b${i % 4}`, C: `c${(i * 7) % 3}` });
+        }
+
+        const structure = learnNetworkStructure(data, { method: 'chow-liu' });
+        expect(structure.nodes.map(node => node.name)).toEqual(['A', 'B', 'C']);
+        expect(structure.nodes[1].parentNames).toEqual(['A']);
+    });
+
+    test('Hill climbing penalizes all the combinations of the parent values', () => {
+        // C is A or A + 1 and D tells which one, so only 20 of the 40 combinations of C and D occur. Together, they determine A,
+        // but the information gain does not outweigh the penalty for the 30 additional combinations of the parent values.
+        const data = [];
+        for (let i = 0; i < 1000; i++) {
+            const a = i % 10;
+            const same = Math.floor(i / 10) % 2 === 0;
+            data.push({ A: `a${a}`, C: `c${same ? a : (a + 1) % 10}`, D: `d${(a % 2) * 2 + (same ? 1 : 0)}` });
+        }
+
+        const structure = learnNetworkStructure(data, { method: 'hill-climbing', maxParents: 3 });
+        for (const node of structure.nodes) {
+            expect(node.parentNames.length).toBeLessThanOrEqual(1);
+        }
+    });
+
+    test.each(['chow-liu', 'hill-climbing'] as const)('Learned structure (%s) can be used for generation', async (method) => {
+        const data = await loadTestDataset();
+        const structure = learnNetworkStructure(data, { method, maxParents: 2 });
+
+        const seen = new Set<string>();
+        for (const node of structure.nodes) {
+            expect(node.parentNames.length).toBeLessThanOrEqual(2);
+            for (const parentName of node.parentNames) {
+                expect(seen.has(parentName)).toBeTruthy();
+            }
+            seen.add(node.name);
+        }
+
+        const structurePath = path.join(os.tmpdir(), `learned-structure-${method}.zip`);
+        saveNetworkStructure(structure, { path: structurePath });
+
+        const network = new BayesianNetwork({ path: structurePath });
+        network.setProbabilitiesAccordingToData(data);
+        expect(Object.keys(network.generateSample())).toHaveLength(structure.nodes.length);
+    });
+});
+
+describe('Smoothing', () => {
+    const structurePath = path.join(os.tmpdir(), 'smoothing-structure.zip');
+    const data = [
+        ...Array(10).fill({ A: 'a1', B: 'b1' }),
+        { A: 'a2', B: 'b2' },
+        ...Array(5).fill({ A: 'a3', B: 'b2' }),
+    ];
+
+    beforeAll(() => {
+        saveNetworkStructure({ nodes: [{ name: 'A', parentNames: [] }, { name: 'B', parentNames: ['A'] }] }, { path: structurePath });
+    });
+
+    test('Uses relative frequencies by default', () => {
+        const network = new BayesianNetwork({ path: structurePath });
+        network.setProbabilitiesAccordingToData(data);
+        expect(network.getProbability({ A: 'a1', B: 'b2' })).toBe(0);
+    });
+
+    test('Laplace smoothing gives unseen values non-zero probability', () => {
+        const network = new BayesianNetwork({ path: structurePath });
+        network.setProbabilitiesAccordingToData(data, { alpha: 1 });
+        expect(network.getMarginalDistribution('B', { A: 'a1' })).toEqual({ b1: 11 / 12, b2: 1 / 12 });
+    });
+
+    test('Sparse parent values back off to the skip distribution', () => {
+        const network = new BayesianNetwork({ path: structurePath });
+        network.setProbabilitiesAccordingToData(data, { minCount: 3 });
+        expect(network.getMarginalDistribution('B', { A: 'a2' })).toEqual({ b1: 10 / 16, b2: 6 / 16 });
+        expect(network.getMarginalDistribution('B', { A: 'a3' })).toEqual({ b2: 1 });
+    });
+
+    test('Counts numeric and missing values as strings', () => {
+        const network = new BayesianNetwork({ path: structurePath });
+        network.setProbabilitiesAccordingToData([
+            ...Array(3).fill({ A: 0, B: 'x' }),
+            ...Array(3).fill({ A: 1, B: 'y' }),
+            ...Array(3).fill({ B: 'z' }),
+        ]);
+
+        expect(network.getMarginalDistribution('A')).toEqual({ 0: 1 / 3, 1: 1 / 3, undefined: 1 / 3 });
+        expect(network.getMarginalDistribution('B', { A: '0' })).toEqual({ x: 1 });
+        expect(network.getMarginalDistribution('B', { A: '1' })).toEqual({ y: 1 });
+        expect(network.getMarginalDistribution('B', { A: 'undefined' })).toEqual({ z: 1 });
+    });
+});
+
+describe('Incremental updates', () => {
+    const structurePath = path.join(__dirname, './testNetworkStructureDefinition.zip');
+    let data: Record<string, any>[];
+
+    beforeAll(async () => {
+        data = await loadTestDataset();
+    });
+
+    test('Updating with new data gives the same probabilities as training on all the data', () => {
+        const fullNetwork = new BayesianNetwork({ path: structurePath });
+        fullNetwork.setProbabilitiesAccordingToData(data);
+
+        const updatedNetwork = new BayesianNetwork({ path: structurePath });
+        updatedNetwork.setProbabilitiesAccordingToData(data.slice(0, data.length / 2));
+
+        const updatedNetworkPath = path.join(os.tmpdir(), 'updated-network.zip');
+        updatedNetwork.saveNetworkDefinition({ path: updatedNetworkPath });
+        const loadedNetwork = new BayesianNetwork({ path: updatedNetworkPath });
+        loadedNetwork.update(data.slice(data.length / 2));
+
+        for (let i = 0; i < 20; i++) {
+            const sample = fullNetwork.generateSample();
+            expect(loadedNetwork.getProbability(sample)).toBeCloseTo(fullNetwork.getProbability(sample), 10);
+        }
+    });
+
+    test('Streamed data give the same probabilities as an array', async () => {
+        const network = new BayesianNetwork({ path: structurePath });
+        network.setProbabilitiesAccordingToData(data);
+
+        const streamedNetwork = new BayesianNetwork({ path: structurePath });
+        await streamedNetwork.setProbabilitiesAccordingToStream((async function* () {
+            yield* data;
+        })());
+
+        expect(JSON.stringify(streamedNetwork['nodesInSamplingOrder'])).toBe(JSON.stringify(network['nodesInSamplingOrder']));
+    });
+
+    test('Decay lowers the weight of the old data', () => {
+        const network = new BayesianNetwork({ path: structurePath });
+        network.setProbabilitiesAccordingToData(data.map((record) => ({ ...record, ATTR1: 'ATTR1_VAL1' })));
+        network.update(data.slice(0, 10).map((record) => ({ ...record, ATTR1: 'ATTR1_VAL2' })), { decay: 0 });
+
+        expect(network.getMarginalDistribution('ATTR1')).toEqual({ ATTR1_VAL2: 1 });
+    });
+
+    test('Networks without counts cannot be updated', () => {
+        const network = new BayesianNetwork({ path: testNetworkDefinitionPath });
+        (network as any).nodesInSamplingOrder.forEach((node: any) => { delete node.nodeDefinition.conditionalCounts; });
+        expect(() => network.update(data)).toThrow();
+    });
 });
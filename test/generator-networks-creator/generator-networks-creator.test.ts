@@ -104,21 +104,39 @@ describe('Processing browser data', () => {
         },
         {
             userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/106.0.0.0 YaBrowser/22.11.0.2500 Yowser/2.5 Safari/537.36",
-            expectedBrowser: "*MISSING_VALUE*",
+            expectedBrowser: "yandex/22.11.0.2500",
             expectedOS: "windows",
             expectedDeviceType: "desktop"
         },
         {
             userAgent: "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/104.0.5112.114 YaBrowser/22.9.1.1145 Yowser/2.5 Safari/537.36",
-            expectedBrowser: "*MISSING_VALUE*",
+            expectedBrowser: "yandex/22.9.1.1145",
             expectedOS: "macos",
             expectedDeviceType: "desktop"
         },
         {
             userAgent: "Mozilla/5.0 (Windows NT 10.0; WOW64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/114.0.0.0 Safari/537.36 Vivaldi/6.0.2979.18",
-            expectedBrowser: "*MISSING_VALUE*",
+            expectedBrowser: "vivaldi/6.0.2979.18",
+            expectedOS: "windows",
+            expectedDeviceType: "desktop"
+        },
+        {
+            userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/114.0.0.0 Safari/537.36 OPR/100.0.0.0",
+            expectedBrowser: "opera/100.0.0.0",
             expectedOS: "windows",
             expectedDeviceType: "desktop"
+        },
+        {
+            userAgent: "Mozilla/5.0 (Linux; Android 13; SM-S901B) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/21.0 Chrome/110.0.5481.154 Mobile Safari/537.36",
+            expectedBrowser: "samsung/21.0",
+            expectedOS: "android",
+            expectedDeviceType: "mobile"
+        },
+        {
+            userAgent: "Mozilla/5.0 (Linux; U; Android 10; en-US; SM-A107F) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/78.0.3904.108 UCBrowser/13.4.0.1306 Mobile Safari/537.36",
+            expectedBrowser: "*MISSING_VALUE*",
+            expectedOS: "android",
+            expectedDeviceType: "mobile"
         }
     ];
 
@@ -129,6 +147,13 @@ describe('Processing browser data', () => {
         }
     });
 
+    test('Recognizes Brave from the brands in the client hints', () => {
+        const userAgent = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/114.0.0.0 Safari/537.36";
+
+        expect(networkGenerator['getBrowserNameVersion'](userAgent, '"Not.A/Brand";v="8", "Chromium";v="114", "Brave";v="114"')).toBe('brave/114.0.0.0');
+        expect(networkGenerator['getBrowserNameVersion'](userAgent, '"Not.A/Brand";v="8", "Chromium";v="114", "Google Chrome";v="114"')).toBe('chrome/114.0.0.0');
+    });
+
     test('Extracts operating system from User-Agent', () => {
         for(const testCase of cases) {
             const os = networkGenerator['getDeviceOS'](testCase.userAgent).operatingSystem;
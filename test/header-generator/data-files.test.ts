@@ -0,0 +1,54 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+
+import { HeaderGenerator } from 'header-generator';
+
+// Use the modules the bundlers substitute in browsers and edge runtimes, so no file system access is possible.
+jest.mock('header-generator/src/data-files', () => jest.requireActual('header-generator/src/data-files.browser'));
+jest.mock('generative-bayesian-network/src/network-io', () => jest.requireActual('generative-bayesian-network/src/network-io.browser'));
+
+const { parseNetworkDefinition, serializeNetworkDefinition } = jest.requireActual('generative-bayesian-network/src/network-io');
+const dataFilesPath = path.join(__dirname, '../../packages/header-generator/src/data_files');
+
+describe('Injected data files', () => {
+    const dataFiles = {
+        inputNetworkDefinition: parseNetworkDefinition(readFileSync(path.join(dataFilesPath, 'input-network-definition.zip'))),
+        headerNetworkDefinition: parseNetworkDefinition(readFileSync(path.join(dataFilesPath, 'header-network-definition.zip'))),
+        headersOrder: JSON.parse(readFileSync(path.join(dataFilesPath, 'headers-order.json'), 'utf8')),
+        browserHelperFile: JSON.parse(readFileSync(path.join(dataFilesPath, 'browser-helper-file.json'), 'utf8')),
+    };
+
+    test('Generates headers without reading any files', () => {
+        const headerGenerator = new HeaderGenerator({ dataFiles, browsers: ['firefox'] });
+        const headers = headerGenerator.getHeaders();
+        expect(headers['user-agent']).toContain('Firefox');
+    });
+
+    test('Accepts the shipped network definitions converted to plain JSON', () => {
+        const headerGenerator = new HeaderGenerator({
+            dataFiles: {
+                ...dataFiles,
+                inputNetworkDefinition: serializeNetworkDefinition(dataFiles.inputNetworkDefinition, 'json'),
+                headerNetworkDefinition: serializeNetworkDefinition(dataFiles.headerNetworkDefinition, 'json'),
+            },
+        });
+        expect(Object.keys(headerGenerator.getHeaders()).length).toBeGreaterThan(0);
+    });
+
+    test('Explains how to convert the zipped network definitions', () => {
+        expect(() => new HeaderGenerator({
+            dataFiles: {
+                ...dataFiles,
+                headerNetworkDefinition: readFileSync(path.join(dataFilesPath, 'header-network-definition.zip')),
+            },
+        })).toThrow(/Convert them to plain JSON/);
+    });
+
+    test('Explains which data file is missing', () => {
+        const { headersOrder, ...incompleteDataFiles } = dataFiles;
+        expect(() => new HeaderGenerator({ dataFiles: incompleteDataFiles })).toThrow(/headers-order\.json/);
+
+        const { inputNetworkDefinition, ...dataFilesWithoutNetwork } = dataFiles;
+        expect(() => new HeaderGenerator({ dataFiles: dataFilesWithoutNetwork })).toThrow(/input-network-definition\.zip.*plain JSON/);
+    });
+});
@@ -1,8 +1,11 @@
 import { inspect } from 'util';
 
 import { HeaderGenerator, HeaderGeneratorOptions } from 'header-generator';
+import { getAcceptLanguageHeader } from 'header-generator/src/accept-language';
+import { addClientHintsToOrder } from 'header-generator/src/client-hints';
 import headersOrder from 'header-generator/src/data_files/headers-order.json';
-import { getUserAgent, getBrowser } from 'header-generator/src/utils';
+import { addPriorityToOrder, getRequestTypeHeaders } from 'header-generator/src/request-types';
+import { getUserAgent, getBrowser, getBrowserString } from 'header-generator/src/utils';
 
 function extractLocalesFromAcceptLanguageHeader(acceptLanguageHeader: string): string[] {
     const extractedLocales = [];
@@ -63,6 +66,46 @@ describe('Generation tests', () => {
         expect(Object.keys(ordered)).toEqual(['Connection', 'user-agent', 'cookie']);
     });
 
+    test('Orders the headers of the Chromium-based browsers like Chrome', () => {
+        // The headers missing in the order of Chrome (e.g. `dnt`) are put at the end.
+        const chromeOrder = (headers: Record<string, string>) => [...new Set(headersOrder.chrome.filter((name) => name in headers))];
+        const orderedNames = (headers: Record<string, string>) => Object.keys(headers).filter((name) => headersOrder.chrome.includes(name));
+        const generator = new HeaderGenerator();
+        const headers = {
+            accept: '*/*',
+            'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.0.0',
+            'sec-ch-ua-mobile': '?0',
+            'sec-ch-ua': '"Microsoft Edge";v="124", "Chromium";v="124"',
+        };
+        expect(Object.keys(generator.orderHeaders(headers))).toEqual(chromeOrder(headers));
+        const operaHeaders = { ...headers, 'user-agent': `${headers['user-agent']} OPR/110.0.0.0` };
+        expect(Object.keys(generator.orderHeaders(operaHeaders))).toEqual(chromeOrder(operaHeaders));
+
+        const generated = generator.getHeaders({ browsers: ['edge'], httpVersion: '2' });
+        expect(orderedNames(generated)).toEqual(chromeOrder(generated));
+
+        const session = generator.createSession({ browsers: ['edge'], httpVersion: '2' });
+        const image = session.getHeaders({ url: 'https://cdn.example.com/image.png', referer: 'https://www.example.com/' }, 'image');
+        expect(orderedNames(image)).toEqual(chromeOrder(image));
+    });
+
+    test('Recognizes the Chromium-based browsers by the user-agent', () => {
+        const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+        const samsung = 'Mozilla/5.0 (Linux; Android 13; SM-S901B) AppleWebKit/537.36 (KHTML, like Gecko) '
+            + 'SamsungBrowser/25.0 Chrome/121.0.0.0 Mobile Safari/537.36';
+
+        expect(getBrowserString(`${chrome} OPR/110.0.0.0`)).toBe('opera/110.0.0.0');
+        expect(getBrowserString(`${chrome} Vivaldi/6.7.3329.21`)).toBe('vivaldi/6.7.3329.21');
+        expect(getBrowserString(`${chrome} YaBrowser/24.6.0.0 Yowser/2.5`)).toBe('yandex/24.6.0.0');
+        expect(getBrowserString(samsung)).toBe('samsung/25.0');
+        expect(getBrowser(`${chrome} Edg/124.0.0.0`)).toBe('edge');
+        expect(getBrowser(chrome)).toBe('chrome');
+
+        // The browsers use their own version numbers, Opera 110 and Samsung Internet 25 are based on Chromium 124 and 121.
+        expect(getRequestTypeHeaders('image', { name: 'opera', version: [110], completeString: '', httpVersion: '2' }).priority).toBe('i');
+        expect(getRequestTypeHeaders('image', { name: 'samsung', version: [25], completeString: '', httpVersion: '2' }).priority).toBeUndefined();
+    });
+
     test('Orders headers works without user-agent', () => {
         const headers = {
             cookie: 'test=123',
@@ -84,12 +127,24 @@ describe('Generation tests', () => {
 
     test('Generates headers with the requested locales', () => {
         const requestedLocales = ['en', 'es', 'en-GB'];
-        const headers = headerGenerator.getHeaders({
-            httpVersion: '2',
-            locales: requestedLocales,
-        });
-        const extractedLocales = extractLocalesFromAcceptLanguageHeader(headers['accept-language']);
-        expect(requestedLocales.sort()).toEqual(extractedLocales.sort());
+        for (const browser of ['chrome', 'firefox'] as const) {
+            const headers = headerGenerator.getHeaders({
+                httpVersion: '2',
+                browsers: [browser],
+                locales: requestedLocales,
+            });
+            const extractedLocales = extractLocalesFromAcceptLanguageHeader(headers['accept-language']);
+            expect(extractedLocales).toEqual(requestedLocales);
+        }
+    });
+
+    test('Formats the Accept-Language header like the browsers', () => {
+        expect(getAcceptLanguageHeader(['en-US'], 'chrome')).toBe('en-US,en;q=0.9');
+        expect(getAcceptLanguageHeader(['en-US', 'en-GB', 'cs'], 'edge')).toBe('en-US,en-GB;q=0.9,en;q=0.8,cs;q=0.7');
+        expect(getAcceptLanguageHeader(['de', 'en-US', 'en'], 'chrome')).toBe('de,en-US;q=0.9,en;q=0.8');
+        expect(getAcceptLanguageHeader(['de', 'en-US', 'en'], 'firefox')).toBe('de,en-US;q=0.7,en;q=0.3');
+        expect(getAcceptLanguageHeader(['en-US', 'en'], 'firefox')).toBe('en-US,en;q=0.5');
+        expect(getAcceptLanguageHeader(['en-GB', 'de'], 'safari')).toBe('en-GB,de;q=0.9');
     });
 
     test('Generates headers consistent with browsers input', () => {
@@ -148,6 +203,26 @@ describe('Generation tests', () => {
         expect(headers['user-agent'].includes('Firefox')).toBeTruthy();
     });
 
+    test('Supports version ranges, exact builds and excluded versions', () => {
+        const getChromeVersion = (headers: Record<string, string>) => headers['user-agent'].match(/Chrome\/([\d.]+)/)![1];
+
+        const range = headerGenerator.getHeaders({ browsers: [{ name: 'chrome', version: '>=122.0.6261 <123' }], httpVersion: '2', strict: true });
+        expect(getChromeVersion(range)).toMatch(/^122\.0\.6261\./);
+
+        const pinned = headerGenerator.getHeaders({ browsers: [{ name: 'chrome', version: '122.0.6261.95' }], httpVersion: '2', strict: true });
+        expect(getChromeVersion(pinned)).toBe('122.0.6261.95');
+
+        const excluded = headerGenerator.getHeaders({
+            browsers: [{ name: 'chrome', version: '>=122.0.6261 <123', excludeVersions: ['122.0.6261.112', '122.0.6261.171'] }],
+            httpVersion: '2',
+            strict: true,
+        });
+        expect(getChromeVersion(excluded)).toBe('122.0.6261.95');
+
+        expect(() => new HeaderGenerator({ browsers: [{ name: 'chrome', version: '>=120 <latest' }] })).toThrow(/version range/);
+        expect(() => new HeaderGenerator({ browsers: [{ name: 'chrome', excludeVersions: ['120.x'] }] })).toThrow();
+    });
+
     describe('Allow using strings instead of complex browser objects', () => {
         test('in constructor', () => {
             const generator = new HeaderGenerator({
@@ -164,4 +239,172 @@ describe('Generation tests', () => {
             expect(headers['user-agent'].includes('Firefox')).toBe(true);
         });
     });
+
+    test('Generates batches of distinct headers', () => {
+        const batch = headerGenerator.getHeadersBatch(20, { browsers: ['firefox'] });
+        expect(batch).toHaveLength(20);
+        expect(new Set(batch.map((headers) => JSON.stringify(headers))).size).toBe(20);
+        expect(batch.every((headers) => headers['user-agent'].includes('Firefox'))).toBe(true);
+    });
+
+    test('Strict mode throws an error when not enough distinct headers can be generated', () => {
+        const generator = new HeaderGenerator({ seed: 1 });
+        const batch = generator.getHeadersBatch(3);
+        // All the attempts generate the same headers.
+        (generator as any).generateHeaders = (count: number) => Array(count).fill(batch[0]);
+
+        expect(generator.getHeadersBatch(3)).toEqual([batch[0]]);
+        expect(() => generator.getHeadersBatch(3, { strict: true })).toThrow();
+    });
+
+    test('Generates headers for the given request type', () => {
+        const image = headerGenerator.getHeaders({ browsers: [{ name: 'chrome', minVersion: 124 }], httpVersion: '2', requestType: 'image' });
+        expect(image.accept).toMatch(/^image\/avif/);
+        expect(image).toMatchObject({ 'sec-fetch-mode': 'no-cors', 'sec-fetch-dest': 'image', priority: 'i' });
+        expect(image).not.toHaveProperty('sec-fetch-user');
+        expect(image).not.toHaveProperty('upgrade-insecure-requests');
+
+        const fetch = headerGenerator.getHeaders({ browsers: [{ name: 'firefox', minVersion: 128 }], httpVersion: '2', requestType: 'fetch' });
+        expect(fetch).toMatchObject({ accept: '*/*', 'sec-fetch-mode': 'cors', 'sec-fetch-dest': 'empty', priority: 'u=4' });
+
+        const websocket = headerGenerator.getHeaders({ browsers: ['chrome'], httpVersion: '1', requestType: 'websocket' });
+        expect(websocket).not.toHaveProperty('Accept');
+        expect(websocket).not.toHaveProperty('priority');
+        expect(websocket['Sec-Fetch-Mode']).toBe('websocket');
+    });
+
+    test('Generates headers for a concrete request', () => {
+        const post = headerGenerator.getHeadersForRequest({
+            url: 'https://api.example.com/items',
+            method: 'POST',
+            body: 'ř',
+            initiatorUrl: 'https://www.example.com/page#section',
+        }, { browsers: ['chrome'], httpVersion: '1', requestType: 'fetch' });
+        expect(post).toMatchObject({
+            Host: 'api.example.com',
+            Origin: 'https://www.example.com',
+            Referer: 'https://www.example.com/',
+            'Content-Type': 'text/plain;charset=UTF-8',
+            'Content-Length': '2',
+            'Sec-Fetch-Site': 'same-site',
+        });
+        expect(Object.keys(post)[0]).toBe('Host');
+
+        const form = headerGenerator.getHeadersForRequest({
+            url: 'https://shop.example.co.uk/login',
+            method: 'POST',
+            body: new URLSearchParams({ user: 'name' }),
+            referer: 'https://shop.example.co.uk/form',
+        }, { browsers: ['firefox'], httpVersion: '2' });
+        expect(form).toMatchObject({
+            'content-type': 'application/x-www-form-urlencoded',
+            referer: 'https://shop.example.co.uk/form',
+            'sec-fetch-site': 'same-origin',
+            'sec-fetch-mode': 'navigate',
+        });
+        expect(form).not.toHaveProperty('host');
+
+        const image = headerGenerator.getHeadersForRequest({ url: 'http://cdn.example.org/image.png', referer: 'https://www.example.com/' }, { browsers: ['chrome'], requestType: 'image' });
+        expect(image).not.toHaveProperty('referer');
+        expect(image).not.toHaveProperty('origin');
+        expect(image['sec-fetch-site']).toBe('cross-site');
+
+        expect(headerGenerator.getHeadersForRequest({ url: 'https://www.example.com/' }, { browsers: ['chrome'] })['sec-fetch-site']).toBe('none');
+    });
+
+    test('Places the Priority header like the browsers', () => {
+        expect(addPriorityToOrder(headersOrder.chrome, 'chrome').slice(-2)).toEqual(['cookie', 'priority']);
+        expect(addPriorityToOrder(headersOrder.firefox, 'firefox').slice(-3)).toEqual(['sec-fetch-user', 'priority', 'te']);
+        expect(addPriorityToOrder(headersOrder.safari, 'safari')).toEqual(headersOrder.safari);
+
+        const generator = new HeaderGenerator();
+        const headers = generator.getHeaders({ browsers: [{ name: 'firefox', minVersion: 128 }], httpVersion: '2', requestType: 'image' });
+        const names = Object.keys(headers);
+        if ('te' in headers) expect(names.indexOf('priority')).toBe(names.indexOf('te') - 1);
+        expect(names.indexOf('priority')).toBe(names.indexOf('sec-fetch-user' in headers ? 'sec-fetch-user' : 'sec-fetch-site') + 1);
+    });
+
+    test('Places the high-entropy client hints after sec-ch-ua', () => {
+        const order = addClientHintsToOrder(['user-agent', 'sec-ch-ua', 'sec-ch-ua-mobile', 'sec-ch-ua-platform', 'accept']);
+        expect(order).toEqual([
+            'user-agent',
+            'sec-ch-ua',
+            'sec-ch-ua-arch',
+            'sec-ch-ua-bitness',
+            'sec-ch-ua-form-factors',
+            'sec-ch-ua-full-version',
+            'sec-ch-ua-full-version-list',
+            'sec-ch-ua-mobile',
+            'sec-ch-ua-model',
+            'sec-ch-ua-platform',
+            'sec-ch-ua-platform-version',
+            'sec-ch-ua-wow64',
+            'accept',
+        ]);
+        expect(addClientHintsToOrder(order)).toEqual(order);
+        expect(addClientHintsToOrder(headersOrder.firefox)).toEqual(headersOrder.firefox);
+    });
+
+    test('Generates the client hints requested by the server', () => {
+        const headers = headerGenerator.getHeaders({ browsers: ['chrome'], operatingSystems: ['windows'], httpVersion: '2' });
+        const responseHeaders = {
+            'Accept-CH': 'Sec-CH-UA-Full-Version-List, Sec-CH-UA-Platform-Version, Sec-CH-Unknown',
+            'Critical-CH': 'Sec-CH-UA-Platform-Version',
+        };
+        const clientHintsHeaders = headerGenerator.getClientHintsHeaders(headers, responseHeaders);
+
+        expect(clientHintsHeaders['sec-ch-ua-full-version-list']).toContain('"Google Chrome";v="');
+        expect(clientHintsHeaders['sec-ch-ua-platform-version']).toMatch(/^"[\d.]+"$/);
+        expect(clientHintsHeaders).not.toHaveProperty('sec-ch-unknown');
+        const names = Object.keys(clientHintsHeaders);
+        expect(names.indexOf('sec-ch-ua-platform-version')).toBe(names.indexOf('sec-ch-ua-platform') + 1);
+        expect(headerGenerator.isClientHintsRetryNeeded(headers, responseHeaders)).toBe(true);
+        expect(headerGenerator.isClientHintsRetryNeeded(clientHintsHeaders, responseHeaders)).toBe(false);
+
+        const firefoxHeaders = headerGenerator.getHeaders({ browsers: ['firefox'] });
+        expect(headerGenerator.getClientHintsHeaders(firefoxHeaders, responseHeaders)).toEqual(firefoxHeaders);
+    });
+
+    test('Sessions keep the browser identity across requests', () => {
+        const session = headerGenerator.createSession({ browsers: ['chrome'], httpVersion: '2' });
+        const page = session.getHeaders({ url: 'https://www.example.com/' });
+        const image = session.getHeaders({ url: 'https://cdn.example.com/image.png', referer: 'https://www.example.com/' }, 'image');
+        const api = session.getHeaders({ url: 'https://www.example.com/api', method: 'POST', body: '{}', initiatorUrl: 'https://www.example.com/' }, 'fetch');
+
+        for (const headers of [image, api]) {
+            for (const name of ['user-agent', 'sec-ch-ua', 'accept-language', 'accept-encoding']) {
+                expect(headers[name]).toBe(page[name]);
+            }
+        }
+        expect(page['sec-fetch-site']).toBe('none');
+        expect(image).toMatchObject({ 'sec-fetch-site': 'same-site', 'sec-fetch-dest': 'image', referer: 'https://www.example.com/' });
+        expect(api).toMatchObject({ 'sec-fetch-mode': 'cors', origin: 'https://www.example.com', 'content-length': '2' });
+
+        session.handleResponse('https://www.example.com/', { 'Accept-CH': 'Sec-CH-UA-Arch' });
+        expect(session.getHeaders({ url: 'https://www.example.com/next' })).toHaveProperty('sec-ch-ua-arch');
+        expect(session.getHeaders({ url: 'https://cdn.example.com/next' })).not.toHaveProperty('sec-ch-ua-arch');
+
+        expect(() => session.getHeaders({ url: 'not a url' })).toThrow();
+        expect(() => session.getHeaders({ url: 'https://www.example.com/', unknown: true } as any)).toThrow();
+    });
+
+    test('Estimates the surprisal of headers', () => {
+        const headers = headerGenerator.getHeaders({ browsers: ['chrome'], httpVersion: '2' });
+        const { total, attributes } = headerGenerator.getHeadersSurprisal(headers);
+
+        expect(total).toBeGreaterThan(0);
+        expect(Number.isFinite(total)).toBe(true);
+        expect(attributes['user-agent']).toBeGreaterThanOrEqual(0);
+        expect(headerGenerator.getHeadersSurprisal({ ...headers, 'user-agent': 'unknown' }).total).toBe(Infinity);
+    });
+
+    test('Generates identical headers with the same seed', () => {
+        const first = new HeaderGenerator({ seed: 1234, locales: ['en-US', 'de', 'fr'] });
+        const second = new HeaderGenerator({ seed: 1234, locales: ['en-US', 'de', 'fr'] });
+
+        for (let i = 0; i < 10; i++) {
+            const options: Partial<HeaderGeneratorOptions> = { httpVersion: i % 2 ? '1' : '2' };
+            expect(JSON.stringify(first.getHeaders(options))).toBe(JSON.stringify(second.getHeaders(options)));
+        }
+    });
 });
@@ -1,4 +1,5 @@
 import { HeaderGeneratorOptions, HeaderGenerator, PRESETS } from 'header-generator';
+import { getBrowser } from 'header-generator/src/utils';
 
 describe('presets', () => {
     const generator = new HeaderGenerator();
@@ -8,4 +9,19 @@ describe('presets', () => {
         const headers = generator.getHeaders(config as HeaderGeneratorOptions);
         expect(headers['user-agent']).toBeDefined();
     });
+
+    test.each(presets.filter(([name]) => /_(CHROME|FIREFOX)$/.test(name)))('%s generates headers of its browser', (name, config) => {
+        const browser = name.endsWith('_CHROME') ? 'chrome' : 'firefox';
+        for (let i = 0; i < 10; i++) {
+            const headers = generator.getHeaders(config as HeaderGeneratorOptions);
+            expect(getBrowser(headers['user-agent'] ?? headers['User-Agent'])).toBe(browser);
+        }
+    });
+
+    test('Accepts the Chromium-based browsers', () => {
+        for (const browser of ['opera', 'brave', 'vivaldi', 'samsung', 'yandex'] as const) {
+            expect(generator.getHeaders({ browsers: [browser] })).toBeDefined();
+            expect(generator.getHeaders({ browsers: [{ name: browser, minVersion: 10 }] })).toBeDefined();
+        }
+    });
 });